@@ -2,12 +2,25 @@
 
 const Interface = require('./lib/interface');
 const ERC20 = require('./lib/modules/erc20Interface');
+const ERC721 = require('./lib/modules/erc721Interface');
+const ERC1155 = require('./lib/modules/erc1155Interface');
+const Wallet = require('./lib/modules/wallet');
 const Web3 = require('./lib/modules/web3');
+const stores = require('./lib/stores');
+const signers = require('./lib/signers');
+const { Logger, setLogger } = require('./lib/logger');
 const utils = require('./lib/utils');
 
 module.exports = {
     Interface,
     Web3,
     ERC20,
-    utils
+    ERC721,
+    ERC1155,
+    Wallet,
+    stores,
+    signers,
+    utils,
+    Logger,
+    setLogger
 };
@@ -18,18 +18,31 @@
  */
 
 'use strict';
+const { PromiEvent } = require('web3-core-promievent');
 const TransactionManager = require('../modules/transactionManager');
 const Subscription = require('../modules/subscription');
+const Batch = require('../modules/batch');
 const Web3 = require('../modules/web3');
 const utils = require('../utils');
+const { log } = require('../logger');
 const proxyHandler = require('./proxyHandler');
+const _ = require('lodash');
 
 const {
     toChecksum,
     toWei,
+    getSignature,
+    resolveEvent,
+    returnValue,
     sleep,
+    _to
 } = utils;
 
+// providers limit either the number of results or the block range of eth_getLogs
+const rangeErrorPattern = /more than \d+ results|too many|response size|limit exceeded|block range|range is too|query timeout/i;
+
+const compareEvents = (a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+
 
 class Interface {
     constructor(nodeAddress, contractAddress, mnemonic, web3Instance, abi, bytecode) {
@@ -39,6 +52,10 @@ class Interface {
             if (!nodeAddress) throw new Error('The node address is not defined!');
 
             this.w3 = new Web3(nodeAddress, mnemonic);
+        }
+
+        // the instances of the Web3 module (see ../modules/web3) emit 'resetProvider' once the connection is restored
+        if (this.w3.emitter) {
             this.emitter = this.w3.emitter;
             this.emitter.on('resetProvider', provider => this._resetProvider(provider));
         }
@@ -55,8 +72,12 @@ class Interface {
 
         this.abi = abi;
         this._gasPrice = null;
+        this._maxFeePerGas = null;
+        this._maxPriorityFeePerGas = null;
         this.bytecode = bytecode;
         this.gasLimit = '6000000';
+        this.gasEstimation = false; // true or { multiplier, cap } - the gas of each transaction is estimated, see README
+        this.feeMarket = false; // true - type-2 transactions are sent if the latest block has a base fee, see README
         this.gasUsed = 0;
         this.totalGasUsed = 0;
         this.accounts = this.w3.currentProvider.addresses || [];
@@ -72,8 +93,9 @@ class Interface {
     }
 
     _resetProvider(provider) {
-        this.contract.setProvider(provider);
+        if (provider) this.contract.setProvider(provider);
         this.subscriptions.forEach(sub => {
+            log.debug(`[${process.pid}] [${this.address}] Restoring the "on${sub.event}" subscription...`);
             sub.subscribe();
         });
     }
@@ -82,6 +104,8 @@ class Interface {
         if (!callback || typeof callback !== 'function')
             throw new Error('Callback must be a function!');
 
+        resolveEvent(this.abi, event); // throws if the event is overloaded
+
         const subscription = new Subscription(this, event, options, callback);
         subscription.subscribe();
 
@@ -91,9 +115,18 @@ class Interface {
 
     _setProxyMethods() {
         const _callStates = ['pure', 'view'];
-        this._sent = this.abi.filter(item => !_callStates.includes(item.stateMutability) && item.type === 'function').map(item => item.name);
-        this._call = this.abi.filter(item => _callStates.includes(item.stateMutability) && item.type === 'function').map(item => item.name);
-        this._events = this.abi.filter(item => item.type === 'event').map(item => 'on' + item.name);
+        const isCall = item => _callStates.includes(item.stateMutability);
+        const functions = this.abi.filter(item => item.type === 'function');
+        const events = this.abi.filter(item => item.type === 'event');
+        const names = _.uniq(functions.map(item => item.name));
+
+        // Every function and event is available by its signature as well, e.g. 'safeTransferFrom(address,address,uint256,bytes)'.
+        // A name is a call only if all its overloads are; otherwise the type is defined by the selected overload (see getTxMeta).
+        this._call = names.filter(name => functions.filter(item => item.name === name).every(isCall))
+            .concat(functions.filter(isCall).map(getSignature));
+        this._sent = names.filter(name => !this._call.includes(name))
+            .concat(functions.filter(item => !isCall(item)).map(getSignature));
+        this._events = _.uniq(events.map(item => 'on' + item.name)).concat(events.map(item => 'on' + getSignature(item)));
         this._misc = ['_deploy'];
         this.proxyMethods = this._sent.concat(this._misc).concat(this._call).concat(this._events);
     }
@@ -121,6 +154,24 @@ class Interface {
         return this._gasPrice;
     }
 
+    set maxFeePerGas(price) {
+        if (!price || Number(parseFloat(price)) !== price) this._maxFeePerGas = null;
+        else this._maxFeePerGas = toWei(price, 'gwei');
+    }
+
+    get maxFeePerGas() {
+        return this._maxFeePerGas;
+    }
+
+    set maxPriorityFeePerGas(price) {
+        if (!price || Number(parseFloat(price)) !== price) this._maxPriorityFeePerGas = null;
+        else this._maxPriorityFeePerGas = toWei(price, 'gwei');
+    }
+
+    get maxPriorityFeePerGas() {
+        return this._maxPriorityFeePerGas;
+    }
+
     get address() {
         return this._address;
     }
@@ -155,14 +206,151 @@ class Interface {
         return Math.ceil(gasPrice * multiplier);
     }
 
+    async getFeeData() {
+        const block = await this.w3.eth.getBlock('latest');
+        if (!block || block.baseFeePerGas === undefined || block.baseFeePerGas === null) return null; // pre-London
+
+        const baseFeePerGas = Number(block.baseFeePerGas);
+        const maxPriorityFeePerGas = Number(this.maxPriorityFeePerGas || toWei(1.5, 'gwei'));
+
+        // stays valid for 6 consecutive full blocks, each one raises the base fee by 12.5%
+        const maxFeePerGas = Number(this.maxFeePerGas || baseFeePerGas * 2 + maxPriorityFeePerGas);
+
+        return { baseFeePerGas, maxFeePerGas, maxPriorityFeePerGas };
+    }
+
+    batch(options) {
+        return new Batch(this, options);
+    }
+
+    // calls - [[method, ...args], [instance, method, ...args], ...]
+    multicall(calls, options) {
+        const batch = this.batch(options);
+        calls.forEach(call => {
+            if (_.isString(call[0])) batch.add(this, ...call);
+            else batch.add(...call);
+        });
+
+        return batch.execute();
+    }
+
+    // runs a state-changing method as an eth_call -> { success: true, result } | { success: false, error }
+    async simulate(method, ...args) {
+        const callback = _.isFunction(_.last(args)) ? args.pop() : null;
+
+        const [err, res] = await _to((async () => {
+            const txMeta = await this.txManager.getTxMeta(this, method, ...args);
+            return this.txManager.simulate(this, txMeta);
+        })());
+
+        return returnValue(err, res, callback);
+    }
+
+    async getEvents(event, options) {
+        const events = [];
+        for await (const item of this.iterateEvents(event, options)) events.push(item);
+        return events;
+    }
+
+    async *iterateEvents(event, options) {
+        options = options || {};
+
+        const { filter, topics } = options;
+        const eventKey = resolveEvent(this.abi, event || 'allEvents');
+        const maxChunkSize = options.chunkSize || 5000;
+        const toBlock = await this._getBlockNumber(options.toBlock === undefined ? 'latest' : options.toBlock);
+
+        let fromBlock = await this._getBlockNumber(options.fromBlock || 0);
+        let chunkSize = maxChunkSize;
+
+        while (fromBlock <= toBlock) {
+            const chunkEnd = Math.min(fromBlock + chunkSize - 1, toBlock);
+            const [err, events] = await _to(this.contract.getPastEvents(eventKey, {
+                fromBlock,
+                toBlock: chunkEnd,
+                filter,
+                topics
+            }));
+
+            if (err) {
+                if (chunkSize === 1 || !rangeErrorPattern.test(err.message)) throw err;
+
+                chunkSize = Math.ceil(chunkSize / 2);
+                log.debug(`getEvents: ${event} - ${err.message}, retrying with ${chunkSize} blocks`);
+                continue;
+            }
+
+            yield* events.sort(compareEvents);
+
+            fromBlock = chunkEnd + 1;
+            chunkSize = Math.min(chunkSize * 2, maxChunkSize);
+        }
+    }
+
+    async _getBlockNumber(block) {
+        if (block === 'earliest') return 0;
+        if (block === 'latest' || block === 'pending') return this.w3.eth.getBlockNumber();
+        return Number(block);
+    }
+
+    // amount - in ETH, e.g. '0.5'
+    sendEther(to, amount, ...args) {
+        return this._execute(args, rest => this.txManager.getRawTxMeta(this, 'sendEther', { to, value: toWei(amount, 'ether') }, ...rest));
+    }
+
+    // data - "0x"-prefixed calldata, e.g. of a receive or fallback function
+    sendRaw(to, data, ...args) {
+        return this._execute(args, rest => this.txManager.getRawTxMeta(this, 'sendRaw', { to, data }, ...rest));
+    }
+
+    // args - [...methodArgs][, options][, { retryOptions }][, callback]; getTxMeta - resolves the rest of the args to the tx meta
+    _execute(args, getTxMeta, path) {
+        const defer = new PromiEvent();
+
+        const callback = _.isFunction(_.last(args)) ? args.pop() : null;
+
+        let retryOptions;
+        let idx = args.findIndex(item => item && item.retryOptions);
+
+        if (idx !== -1) retryOptions = args.splice(idx, 1)[0].retryOptions;
+
+        const send = meta => {
+            if (!retryOptions) {
+                this.txManager.submitTx(this, meta, defer, path).then(([err, res]) => {
+                    returnValue(err, res, defer, callback);
+                });
+            } else {
+                this.sendWithRetry(meta, retryOptions, defer, path).then(([err, res]) => {
+                    returnValue(err, res, defer, callback);
+                });
+            }
+        };
+
+        Promise.resolve()
+            .then(() => getTxMeta(args))
+            .then(send)
+            .catch(error => returnValue(error, null, defer, callback));
+        return defer;
+    }
+
+    // raw - a transaction signed with the broadcast: false option, see txManager.broadcast
+    broadcast(raw, callback) {
+        const defer = new PromiEvent();
+
+        this.txManager.broadcast(this, raw, defer)
+            .then(([err, res]) => returnValue(err, res, defer, callback))
+            .catch(error => returnValue(error, null, defer, callback));
+        return defer;
+    }
+
     deploy(options, callback) {
         options = options || {};
 
-        const {from, gas, gasPrice, gasLimit, nonce, value, args, bytecode} = options;
+        const {from, gas, gasPrice, maxFeePerGas, maxPriorityFeePerGas, gasLimit, nonce, value, args, bytecode} = options;
 
         const _args = [
             { data: bytecode || this.bytecode, arguments: args || [] },
-            { from, gas, gasPrice, gasLimit, nonce, value }
+            { from, gas, gasPrice, maxFeePerGas, maxPriorityFeePerGas, gasLimit, nonce, value }
         ];
 
         if (callback) _args.push(callback);
@@ -170,7 +358,7 @@ class Interface {
         return this._deploy(..._args);
     }
 
-    async sendWithRetry (txMeta, retryOptions, defer) {
+    async sendWithRetry (txMeta, retryOptions, defer, path) {
         let err, result, counter = 0;
 
         retryOptions = retryOptions || {};
@@ -179,7 +367,12 @@ class Interface {
         const { txManager } = this;
 
         let delay = retryOptions.delay || 10; //seconds
-        let gasPrice = retryOptions.gasPrice || this.gasPrice || (await this.getGasPrice(1.2)); //block gasPrice + 20%
+        const fees = txMeta.options.maxFeePerGas ? {
+            maxFeePerGas: retryOptions.maxFeePerGas || txMeta.options.maxFeePerGas,
+            maxPriorityFeePerGas: retryOptions.maxPriorityFeePerGas || txMeta.options.maxPriorityFeePerGas
+        } : {
+            gasPrice: retryOptions.gasPrice || this.gasPrice || (await this.getGasPrice(1.2)) //block gasPrice + 20%
+        };
         const verify = retryOptions.verify || function() {};
         const retry = retryOptions.retry || 3;
         const incBase = retryOptions.incBase || 1;
@@ -190,7 +383,7 @@ class Interface {
 
         const updateTx = (meta, result) => {
             const { status } = meta;
-            if (status !== 'confirmed') txManager.updateTx(meta, 'confirmed');
+            if (status !== 'confirmed' && status !== 'signed') txManager.updateTx(meta, 'confirmed');
 
             return [null, result];
         };
@@ -202,11 +395,14 @@ class Interface {
         };
 
         do {
-            txMeta.options.gasPrice = Math.ceil(+gasPrice * incBase ** counter);
+            txMeta.retry = counter;
+            Object.assign(txMeta.options, this._bumpFees(fees, incBase, counter));
 
-            [err, result] = await txManager.submitTx(this, txMeta, defer);
+            [err, result] = await txManager.submitTx(this, txMeta, defer, path);
             delete txMeta.options.data;
 
+            if (txMeta.cancelled) break;
+
             if (await _verify(err, methodArgs))
                 return updateTx(txMeta, result, err, counter);
 
@@ -218,12 +414,19 @@ class Interface {
 
             txMeta.options.nonce = updateNonce(err.message, txMeta.nonce);
 
+            log.info(`sendWithRetry: retry #${counter + 1} - ${txMeta.id}, reason: ${err.message}`);
             txManager.retries++;
             counter++;
         } while (counter <= retry);
 
         return [err, result];
     }
+
+    _bumpFees(fees, incBase, counter) {
+        // a type-2 tx is replaced only if both fees are raised by 10% at least
+        const base = fees.gasPrice ? incBase : Math.max(incBase, 1.1);
+        return _.mapValues(fees, fee => Math.ceil(+fee * base ** counter));
+    }
 }
 
 
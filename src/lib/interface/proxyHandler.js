@@ -1,7 +1,5 @@
 'use strict';
-const { PromiEvent } = require('web3-core-promievent');
 const _ = require('lodash');
-const { returnValue } = require('../utils');
 
 const proxyHandler = (obj, prop) => {
     if (!obj.proxyMethods.includes(prop) || prop in obj) return obj[prop];
@@ -20,36 +18,12 @@ const proxyHandler = (obj, prop) => {
         return obj[prop];
     }
 
-    obj[prop] = function proxyAddProp(...args) {
-        let path = 'contract.methods';
-        const defer = new PromiEvent();
-
-        const callback = _.isFunction(_.last(args)) ? args.pop() : null;
-
-        let retryOptions;
-        let idx = args.findIndex(item => item.retryOptions);
-
-        if (idx !== -1) retryOptions = args.splice(idx, 1)[0].retryOptions;
-
-        if (prop === '_deploy') {
-            path = 'contract';
-            prop = 'deploy';
-        }
-
-        const send = meta => {
-            if (!retryOptions) {
-                obj.txManager.submitTx(obj, meta, defer, path).then(([err, res]) => {
-                    returnValue(err, res, defer, callback);
-                });
-            } else {
-                obj.sendWithRetry(meta, retryOptions, defer).then(([err, res]) => {
-                    returnValue(err, res, defer, callback);
-                });
-            }
-        };
+    const isDeploy = prop === '_deploy';
+    const method = isDeploy ? 'deploy' : prop;
+    const path = isDeploy ? 'contract' : 'contract.methods';
 
-        obj.txManager.getTxMeta(obj, prop, ...args).then(send);
-        return defer;
+    obj[prop] = function proxyAddProp(...args) {
+        return obj._execute(args, rest => obj.txManager.getTxMeta(obj, method, ...rest), path);
     };
 
     return obj[prop];
@@ -0,0 +1,3 @@
+const logger = require('./logger');
+
+module.exports = logger;
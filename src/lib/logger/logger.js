@@ -0,0 +1,83 @@
+'use strict';
+
+const levels = ['error', 'warn', 'info', 'debug'];
+
+const consoleSink = (line, level) => {
+    const stream = level === 'error' || level === 'warn' ? process.stderr : process.stdout;
+    stream.write(line + '\n');
+};
+
+let warned = false;
+
+// LOG_LEVEL is shared with the rest of the process, so an unknown level (e.g. 'trace') turns the logger off instead of throwing
+const envLevel = () => {
+    const level = (process.env.LOG_LEVEL || '').toLowerCase();
+    if (!level || levels.includes(level)) return level || null;
+
+    if (!warned) process.emitWarning(`"${process.env.LOG_LEVEL}" log level is not supported, the logger is silent`);
+    warned = true;
+    return null;
+};
+
+class Logger {
+    constructor(options) {
+        options = options || {};
+
+        const level = options.level || envLevel();
+        if (level && !levels.includes(level))
+            throw new Error(`"${level}" log level is not supported! Supported levels:\n${JSON.stringify(levels)}`);
+
+        this.level = level || null; // silent
+        this.format = options.format || process.env.LOG_FORMAT || 'text';
+        this.sinks = options.sinks || [consoleSink];
+
+        levels.forEach(lvl => {
+            this[lvl] = message => this.log(lvl, message);
+        });
+    }
+
+    isEnabled(level) {
+        return !!this.level && levels.indexOf(level) <= levels.indexOf(this.level);
+    }
+
+    log(level, message) {
+        if (!this.isEnabled(level)) return;
+
+        const time = new Date().toISOString();
+        const line = this.format === 'json'
+            ? JSON.stringify({ time, level, pid: process.pid, message })
+            : `[${time}] [${level}] ${message}`;
+
+        this.sinks.forEach(sink => sink(line, level));
+    }
+}
+
+let current = new Logger();
+
+const setLogger = logger => {
+    const missing = levels.filter(level => !logger || typeof logger[level] !== 'function');
+    if (missing.length > 0)
+        throw new Error(`The logger must support the following methods:\n${JSON.stringify(missing)}`);
+
+    current = logger;
+};
+
+const getLogger = () => current;
+
+// modules keep a reference to this object, so the logger can be replaced at any time
+const log = {};
+levels.forEach(level => {
+    log[level] = message => {
+        if (current instanceof Logger && !current.isEnabled(level)) return;
+        current[level](typeof message === 'function' ? message() : message);
+    };
+});
+
+module.exports = {
+    Logger,
+    consoleSink,
+    setLogger,
+    getLogger,
+    levels,
+    log
+};
@@ -0,0 +1,116 @@
+'use strict';
+const _ = require('lodash');
+const { log } = require('../logger');
+const { getSignature, getAbiItems, selectAbiItem, decodeOutputs } = require('../utils');
+const multicallAbi = require('../../resources/Multicall/Multicall3');
+
+// Multicall3 is deployed at the same address on most of the networks, see https://github.com/mds1/multicall
+const MULTICALL_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+// web3 instance -> { address: Promise<boolean> }
+const aggregators = new WeakMap();
+
+const getAbiItem = (target, method, args) => {
+    const items = getAbiItems(target.abi, method).filter(entry => (entry.inputs || []).length === args.length);
+    if (items.length === 0) throw new Error(`The ${method} method with ${args.length} argument(s) is not found in the ABI!`);
+
+    // the overloads with the same number of inputs are told apart by the types of the arguments
+    return items.length === 1 ? items[0] : selectAbiItem(target.abi, method, args).item;
+};
+
+class Batch {
+    constructor(obj, options) {
+        this.w3 = obj.w3;
+        this.options = Object.assign({ multicallAddress: MULTICALL_ADDRESS, chunkSize: 500 }, options);
+        this.calls = [];
+    }
+
+    add(target, method, ...args) {
+        if (!target || !target.contract) throw new Error('The target must be an Interface instance!');
+        if (!target._call.includes(method)) throw new Error(`The ${method} method is not a view function!`);
+
+        const abiItem = getAbiItem(target, method, args);
+        const overloaded = getAbiItems(target.abi, abiItem.name).length > 1;
+
+        this.calls.push({ target, method: overloaded ? getSignature(abiItem) : method, args, abiItem });
+        return this;
+    }
+
+    // resolves with [{ success, result } | { success, error }, ...] in the order the calls have been added
+    async execute() {
+        if (this.calls.length === 0) return [];
+
+        const calls = this.calls;
+        this.calls = [];
+
+        if (await this._hasAggregator()) {
+            const chunks = _.chunk(calls, this.options.chunkSize);
+            const results = await Promise.all(chunks.map(chunk => this._aggregate(chunk)));
+            return [].concat(...results);
+        }
+
+        log.debug(`multicall: there is no aggregator at ${this.options.multicallAddress}, sending a JSON-RPC batch`);
+        return this._batchRequest(calls);
+    }
+
+    async _hasAggregator() {
+        const { multicallAddress } = this.options;
+        if (!multicallAddress) return false;
+
+        if (!aggregators.has(this.w3)) aggregators.set(this.w3, {});
+        const known = aggregators.get(this.w3);
+
+        if (!known[multicallAddress]) {
+            known[multicallAddress] = this.w3.eth.getCode(multicallAddress)
+                .then(code => Boolean(code) && code !== '0x')
+                .catch(() => {
+                    delete known[multicallAddress];
+                    return false;
+                });
+        }
+
+        return known[multicallAddress];
+    }
+
+    _getCallArgs() {
+        const { from, blockNumber } = this.options;
+        const args = [from ? { from } : {}];
+        if (blockNumber !== undefined) args.push(blockNumber);
+        return args;
+    }
+
+    async _aggregate(calls) {
+        const multicall = new this.w3.eth.Contract(multicallAbi, this.options.multicallAddress);
+        const encoded = calls.map(({ target, method, args }) =>
+            [target.address, true, target.contract.methods[method](...args).encodeABI()]);
+
+        const returnData = await multicall.methods.aggregate3(encoded).call(...this._getCallArgs());
+
+        return calls.map(({ method, abiItem }, index) => {
+            const { success, returnData: data } = returnData[index];
+            if (!success) return { success: false, error: new Error(`The ${method} call has been reverted!`) };
+
+            try {
+                return { success: true, result: decodeOutputs(this.w3.eth.abi, abiItem.outputs, data) };
+            } catch (error) {
+                return { success: false, error };
+            }
+        });
+    }
+
+    _batchRequest(calls) {
+        const request = new this.w3.BatchRequest();
+
+        const results = calls.map(({ target, method, args }) => new Promise(resolve => {
+            const callback = (error, result) => resolve(error ? { success: false, error } : { success: true, result });
+            request.add(target.contract.methods[method](...args).call.request(...this._getCallArgs(), callback));
+        }));
+
+        request.execute();
+        return Promise.all(results);
+    }
+}
+
+Batch.MULTICALL_ADDRESS = MULTICALL_ADDRESS;
+
+module.exports = Batch;
@@ -0,0 +1,136 @@
+'use strict';
+
+const Interface = require('../interface');
+const erc1155 = require('../../resources/ERC1155/ERC1155');
+const { returnValue, _to } = require('../utils');
+const _ = require('lodash');
+
+const SAFE_TRANSFER = 'safeTransferFrom(address,address,uint256,uint256,bytes)';
+const SAFE_BATCH_TRANSFER = 'safeBatchTransferFrom(address,address,uint256[],uint256[],bytes)';
+
+const compareTransfers = (a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex || a.batchIndex - b.batchIndex;
+
+// TransferSingle and TransferBatch -> [{ operator, from, to, id, value, batchIndex, ... }, ...], one item per token id
+const toTransfers = event => {
+    const { operator, from, to } = event.returnValues;
+    const isBatch = event.event === 'TransferBatch';
+    const ids = isBatch ? event.returnValues.ids : [event.returnValues.id];
+    const values = isBatch ? event.returnValues.values : [event.returnValues.value];
+
+    return ids.map((id, batchIndex) => ({
+        operator,
+        from,
+        to,
+        id: String(id),
+        value: String(values[batchIndex]),
+        batchIndex,
+        event: event.event,
+        transactionHash: event.transactionHash,
+        blockNumber: event.blockNumber,
+        logIndex: event.logIndex,
+        removed: Boolean(event.removed)
+    }));
+};
+
+
+class ERC1155 extends Interface {
+    constructor(nodeAddress, tokenAddress, mnemonic, web3Instance, abi, bytecode) {
+        abi = abi || erc1155;
+        super(nodeAddress, tokenAddress, mnemonic, web3Instance, abi, bytecode);
+    }
+
+    // safeTransferFrom(from, to, id, amount[, data][, options][, callback]);
+    // the transfer methods are wrapped in order to make the data optional, the originals are called by their signatures
+    safeTransferFrom(from, to, id, amount, ...args) {
+        if (!_.isString(args[0])) args.unshift('0x');
+        return this[SAFE_TRANSFER](from, to, id, amount, ...args);
+    }
+
+    // safeBatchTransferFrom(from, to, ids, amounts[, data][, options][, callback])
+    safeBatchTransferFrom(from, to, ids, amounts, ...args) {
+        if (ids.length !== amounts.length) throw new Error('The number of ids and amounts must be equal!');
+
+        if (!_.isString(args[0])) args.unshift('0x');
+        return this[SAFE_BATCH_TRANSFER](from, to, ids, amounts, ...args);
+    }
+
+    // the balances of a single account -> { id: balance, ... }
+    async balancesOf(account, ids, callback) {
+        const [err, res] = await _to(this.balanceOfBatch(ids.map(() => account), ids));
+
+        return returnValue(err, err ? null : _.zipObject(ids.map(String), res.map(String)), callback);
+    }
+
+    approveOperator(operator, ...args) {
+        return this.setApprovalForAll(operator, true, ...args);
+    }
+
+    revokeOperator(operator, ...args) {
+        return this.setApprovalForAll(operator, false, ...args);
+    }
+
+    async isOperator(operator, account, callback) {
+        if (_.isFunction(account)) {
+            callback = account;
+            account = null;
+        }
+
+        const [err, res] = await _to((async () => {
+            if (!account && (!this.accounts || this.accounts.length === 0)) await this.init();
+            return Boolean(await this.isApprovedForAll(account || this.wallet, operator));
+        })());
+
+        return returnValue(err, res, callback);
+    }
+
+    // the {id} placeholder is replaced with the hex id, padded to 64 characters (see EIP-1155 metadata)
+    async tokenURI(id, callback) {
+        const [err, res] = await _to(this.uri(id));
+        const hexId = err ? null : this.w3.utils.toHex(id).replace(/^0x/, '').padStart(64, '0');
+
+        return returnValue(err, err ? null : res.replace(/{id}/g, hexId), callback);
+    }
+
+    // the past TransferSingle and TransferBatch events, one item per token id; options - see getEvents
+    async getTransfers(options, callback) {
+        if (_.isFunction(options)) {
+            callback = options;
+            options = {};
+        }
+
+        const [err, res] = await _to(Promise.all([
+            this.getEvents('TransferSingle', options),
+            this.getEvents('TransferBatch', options)
+        ]));
+
+        const transfers = err ? null : [].concat(...res[0].concat(res[1]).map(toTransfers)).sort(compareTransfers);
+        return returnValue(err, transfers, callback);
+    }
+
+    // subscribes to both TransferSingle and TransferBatch, the callback is called once per token id
+    onTransfer(...args) {
+        const callback = args.pop();
+        const options = _.isPlainObject(args[0]) ? Object.assign({}, args[0]) : {};
+
+        const { onRemoved } = options;
+        if (_.isFunction(onRemoved)) options.onRemoved = event => toTransfers(event).forEach(transfer => onRemoved(transfer));
+
+        if (!_.isFunction(callback)) throw new Error('Callback must be a function!');
+
+        const handler = (error, event) => {
+            if (error) return callback(error);
+            toTransfers(event).forEach(transfer => callback(null, transfer));
+        };
+
+        // each subscription keeps its own checkpoint
+        const withId = event => (options.checkpointId ? Object.assign({}, options, { checkpointId: `${options.checkpointId}:${event}` }) : options);
+        const subscriptions = ['TransferSingle', 'TransferBatch'].map(event => this._subscribe(withId(event), event, handler));
+
+        return {
+            subscriptions,
+            unsubscribe: () => subscriptions.forEach(subscription => subscription.unsubscribe())
+        };
+    }
+}
+
+module.exports = ERC1155;
@@ -2,6 +2,9 @@
 
 const Interface = require('../interface');
 const erc20 = require('../../resources/ERC20/ERC20');
+const { toToken, fromToken, returnValue, _to } = require('../utils');
+const bn = require('big-integer');
+const _ = require('lodash');
 
 
 class ERC20 extends Interface {
@@ -9,6 +12,100 @@ class ERC20 extends Interface {
         abi = abi || erc20;
         super(nodeAddress, tokenAddress, mnemonic, web3Instance, abi, bytecode);
     }
+
+    // the metadata is read once per token address
+    _getMeta(key, read) {
+        if (!this._meta || this._meta.address !== this.address) this._meta = { address: this.address };
+
+        if (!this._meta[key]) {
+            this._meta[key] = read().catch(error => {
+                delete this._meta[key];
+                throw error;
+            });
+        }
+
+        return this._meta[key];
+    }
+
+    async decimals(callback) {
+        const [err, res] = await _to(this._getMeta('decimals', async () =>
+            Number(await this.contract.methods.decimals().call())));
+
+        return returnValue(err, res, callback);
+    }
+
+    async symbol(callback) {
+        const [err, res] = await _to(this._getMeta('symbol', () => this.contract.methods.symbol().call()));
+
+        return returnValue(err, res, callback);
+    }
+
+    async balanceOfFormatted(holder, callback) {
+        const [err, res] = await _to(Promise.all([this.balanceOf(holder), this.decimals()]));
+
+        return returnValue(err, err ? null : toToken(res[0], res[1]), callback);
+    }
+
+    // amount - in tokens, e.g. '12.5'
+    async transferAmount(to, amount, ...args) {
+        const value = fromToken(amount, await this.decimals());
+        await this._checkReturnValue('transfer', [to, value], args);
+
+        return this.transfer(to, value, ...args);
+    }
+
+    async approveAmount(spender, amount, ...args) {
+        const value = fromToken(amount, await this.decimals());
+        await this._checkReturnValue('approve', [spender, value], args);
+
+        return this.approve(spender, value, ...args);
+    }
+
+    // Some tokens (e.g. USDT) revert if a non-zero allowance is changed to another non-zero value,
+    // so it's reset to zero first. Resolves with the receipts of the sent transactions.
+    async setAllowance(spender, amount, ...args) {
+        const callback = _.isFunction(_.last(args)) ? args.pop() : undefined;
+        const [err, res] = await _to(this._setAllowance(spender, amount, args));
+
+        return returnValue(err, res, callback);
+    }
+
+    async _setAllowance(spender, amount, args) {
+        const value = fromToken(amount, await this.decimals());
+
+        if (!this.accounts || this.accounts.length === 0) await this.init();
+        const owner = this._getFrom(args);
+        const current = bn(await this.allowance(owner, spender));
+
+        if (current.equals(bn(value))) return [];
+
+        // each transaction gets its own copy of the options, the nonce is written into them (see txManager.submitTx)
+        const approve = approved => this.approve(spender, approved, ..._.cloneDeep(args));
+
+        const receipts = [];
+        if (!current.isZero() && !bn(value).isZero()) receipts.push(await approve(0));
+        receipts.push(await approve(value));
+
+        return receipts;
+    }
+
+    _getFrom(args) {
+        const options = args.find(item => item && item.from);
+        return options ? options.from : this.wallet;
+    }
+
+    // Non-standard tokens return nothing instead of a boolean; the standard ones may return false instead of reverting.
+    // The call is made in advance, so such a failure is detected before the transaction is sent.
+    async _checkReturnValue(method, methodArgs, args) {
+        if (!this.accounts || this.accounts.length === 0) await this.init();
+
+        const data = this.contract.methods[method](...methodArgs).encodeABI();
+        const result = await this.w3.eth.call({ from: this._getFrom(args), to: this.address, data });
+
+        if (!result || result === '0x') return;
+        if (!this.w3.eth.abi.decodeParameter('bool', result))
+            throw new Error(`The ${method} call has returned false!`);
+    }
 }
 
 module.exports = ERC20;
@@ -0,0 +1,122 @@
+'use strict';
+
+const Interface = require('../interface');
+const erc721 = require('../../resources/ERC721/ERC721');
+const { returnValue, _to, findRevertData } = require('../utils');
+const _ = require('lodash');
+
+const ENUMERABLE_INTERFACE_ID = '0x780e9d63';
+
+const sameAddress = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+const compareEvents = (a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+// a contract without supportsInterface reverts, or returns nothing if it has a fallback function
+const isRejectedCall = error => Boolean(findRevertData(error)) || /revert|aren't valid/i.test(error.message);
+
+
+class ERC721 extends Interface {
+    constructor(nodeAddress, tokenAddress, mnemonic, web3Instance, abi, bytecode) {
+        abi = abi || erc721;
+        super(nodeAddress, tokenAddress, mnemonic, web3Instance, abi, bytecode);
+    }
+
+    // safeTransferFrom(from, to, tokenId[, data][, options][, callback]);
+    // the overloads are available by their signatures, e.g. 'safeTransferFrom(address,address,uint256)'
+    safeTransferFrom(from, to, tokenId, ...args) {
+        const signature = _.isString(args[0])
+            ? 'safeTransferFrom(address,address,uint256,bytes)'
+            : 'safeTransferFrom(address,address,uint256)';
+
+        return this[signature](from, to, tokenId, ...args);
+    }
+
+    async isOwner(tokenId, address, callback) {
+        if (_.isFunction(address)) {
+            callback = address;
+            address = null;
+        }
+
+        const [err, res] = await _to((async () => {
+            if (!address && (!this.accounts || this.accounts.length === 0)) await this.init();
+            return sameAddress(await this.ownerOf(tokenId), address || this.wallet);
+        })());
+
+        return returnValue(err, res, callback);
+    }
+
+    async isApprovedOrOwner(spender, tokenId, callback) {
+        const [err, res] = await _to((async () => {
+            const owner = await this.ownerOf(tokenId);
+            if (sameAddress(owner, spender)) return true;
+
+            const [approved, approvedForAll] = await Promise.all([
+                this.getApproved(tokenId),
+                this.isApprovedForAll(owner, spender)
+            ]);
+
+            return sameAddress(approved, spender) || Boolean(approvedForAll);
+        })());
+
+        return returnValue(err, res, callback);
+    }
+
+    // the result is read once per token address; a contract without ERC165 support is not enumerable,
+    // while a failed request (e.g. the node is not available) is not cached
+    isEnumerable() {
+        if (!this._meta || this._meta.address !== this.address) this._meta = { address: this.address };
+
+        if (!this._meta.enumerable) {
+            this._meta.enumerable = this.contract.methods.supportsInterface(ENUMERABLE_INTERFACE_ID).call()
+                .then(Boolean)
+                .catch(error => {
+                    if (isRejectedCall(error)) return false;
+
+                    delete this._meta.enumerable;
+                    throw error;
+                });
+        }
+
+        return this._meta.enumerable;
+    }
+
+    // options - fromBlock, toBlock and chunkSize of the Transfer events replay (see getEvents), if the token is not enumerable
+    async tokensOfOwner(owner, options, callback) {
+        if (_.isFunction(options)) {
+            callback = options;
+            options = {};
+        }
+
+        const [err, res] = await _to(this._getTokensOfOwner(owner, options || {}));
+
+        return returnValue(err, res, callback);
+    }
+
+    async _getTokensOfOwner(owner, options) {
+        if (await this.isEnumerable()) {
+            const balance = Number(await this.balanceOf(owner));
+            const results = await this.multicall(_.range(balance).map(index => ['tokenOfOwnerByIndex', owner, index]));
+
+            return results.map(({ success, result, error }) => {
+                if (!success) throw error;
+                return String(result);
+            });
+        }
+
+        const { fromBlock, toBlock, chunkSize } = options;
+        const [received, sent] = await Promise.all([
+            this.getEvents('Transfer', { fromBlock, toBlock, chunkSize, filter: { to: owner } }),
+            this.getEvents('Transfer', { fromBlock, toBlock, chunkSize, filter: { from: owner } })
+        ]);
+
+        const owned = new Set();
+        received.concat(sent).sort(compareEvents).forEach(({ returnValues }) => {
+            const tokenId = String(returnValues.tokenId);
+
+            if (sameAddress(returnValues.to, owner)) owned.add(tokenId);
+            else owned.delete(tokenId);
+        });
+
+        return [...owned];
+    }
+}
+
+module.exports = ERC721;
@@ -1,18 +1,48 @@
 'use strict';
+const EventEmitter = require('events');
+const _ = require('lodash');
+const { log } = require('../logger');
 
-class Subscription {
+const ownOptions = ['confirmations', 'onRemoved', 'checkpointStore', 'checkpointId'];
+
+const getKey = event => `${event.transactionHash}:${event.logIndex}`;
+
+class Subscription extends EventEmitter {
     constructor(obj, event, ...args) {
+        super();
         this.event = event;
         this.target = obj.events;
         this.address = obj.address;
-        this.args = args;
+        this.w3 = obj.w3;
+        this.source = obj;
+
+        const options = args.length > 1 && _.isPlainObject(args[0]) ? args[0] : {};
+        this.options = _.omit(options, ownOptions);
+        this.confirmations = Number(options.confirmations) || 0;
+        this.onRemoved = options.onRemoved;
+        this.store = options.checkpointStore;
+        this.checkpointId = options.checkpointId || `${this.address}:${event}`;
+        this.callback = _.last(args);
+        this.args = [this.options, (error, data) => this._onEvent(error, data)];
+
+        this.pending = new Map();
+        this.queue = [];
+        this.checkpoint = null;
+
+        if (this.confirmations < 0) throw new Error('The number of confirmations must not be negative!');
+        if (this.onRemoved && typeof this.onRemoved !== 'function') throw new Error('onRemoved must be a function!');
     }
 
     unsubscribe() {
         if (!this.subscription) return;
         this.subscription.unsubscribe();
+        if (this.blocks) this.blocks.unsubscribe();
+        log.debug(`[${process.pid}] [${this.address}] -> unsubscribed from ${this.event}`);
         this.unsibscribed = true;
         this.subscription = null;
+        this.blocks = null;
+        this.pending.clear();
+        this.queue = [];
     }
 
     subscribe(event) {
@@ -20,7 +50,147 @@ class Subscription {
         if(!event && !this.event) throw new Error('Event is not defined');
 
         event = event || this.event;
+
+        // the live events are queued until the missed ones are fetched
+        this.backfilling = true;
+        if (this.checkpoint) this.args[0] = _.omit(this.options, 'fromBlock');
         this.subscription = this.target[event](...this.args);
+
+        if (this.confirmations > 0)
+            this.blocks = this.w3.eth.subscribe('newBlockHeaders', (error, block) => this._onBlock(error, block));
+
+        log.debug(`[${process.pid}] [${this.address}] -> subscribed to ${event}`);
+
+        this.restored = this._backfill(event)
+            .catch(error => {
+                log.error(`[${process.pid}] [${this.address}] -> unable to restore ${event}: ${error.message}`);
+                this.callback(error);
+            })
+            .then(() => this._drain());
+    }
+
+    // checkpoint - all the events before the blockNumber and the listed ones from the blockNumber have been delivered
+    async _backfill(event) {
+        if (!this.checkpoint && this.store) this.checkpoint = await this.store.getCheckpoint(this.checkpointId) || null;
+
+        if (!this.checkpoint) {
+            // the live events queued meanwhile may come from the blocks below the current one
+            const blockNumber = Math.min(await this._getStartBlock(), ...this.queue.map(item => item.blockNumber));
+            this.checkpoint = { blockNumber, keys: [] };
+            return;
+        }
+
+        const { blockNumber } = this.checkpoint;
+        log.debug(`[${process.pid}] [${this.address}] -> fetching ${event} from the block ${blockNumber}`);
+
+        const { filter, topics } = this.options;
+        for await (const item of this.source.iterateEvents(event, { fromBlock: blockNumber, filter, topics })) {
+            if (this.unsibscribed) return;
+            this._handle(item);
+        }
+    }
+
+    async _getStartBlock() {
+        const { fromBlock } = this.options;
+        if (fromBlock === 'earliest') return 0;
+        if (fromBlock === undefined || fromBlock === 'latest' || fromBlock === 'pending') return this.w3.eth.getBlockNumber();
+        return Number(fromBlock);
+    }
+
+    _drain() {
+        this.backfilling = false;
+        const queue = this.queue;
+        this.queue = [];
+        queue.forEach(data => this._handle(data));
+    }
+
+    _onEvent(error, data) {
+        if (error) return this.callback(error, data);
+
+        if (this.backfilling) this.queue.push(data);
+        else this._handle(data);
+    }
+
+    _handle(data) {
+        if (data.removed) {
+            if (this.confirmations > 0 || this.onRemoved) return this._onRemovedEvent(data);
+
+            this._removeFromCheckpoint(data);
+            this.callback(null, data);
+            return;
+        }
+
+        if (this._isDelivered(data)) return;
+
+        if (this.confirmations > 0) this.pending.set(getKey(data), data);
+        else this._deliver(data);
+    }
+
+    _isDelivered(data) {
+        if (!this.checkpoint) return false;
+
+        const { blockNumber, keys } = this.checkpoint;
+        return data.blockNumber < blockNumber || (data.blockNumber === blockNumber && keys.includes(getKey(data)));
+    }
+
+    // a reverted event is dropped silently unless it has been delivered already
+    _onRemovedEvent(data) {
+        if (this.pending.delete(getKey(data))) {
+            log.debug(`[${process.pid}] [${this.address}] -> ${this.event} ${getKey(data)} has been removed before confirmation`);
+            return;
+        }
+
+        log.warn(`[${process.pid}] [${this.address}] -> ${this.event} ${getKey(data)} has been removed by a chain reorganization`);
+        this._removeFromCheckpoint(data);
+        this.emit('removed', data);
+        if (this.onRemoved) this.onRemoved(data);
+    }
+
+    _onBlock(error, block) {
+        if (error) return log.error(`[${process.pid}] [${this.address}] -> block subscription error: ${error.message}`);
+
+        [...this.pending.values()]
+            .filter(event => block.number - event.blockNumber >= this.confirmations)
+            .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex)
+            .forEach(event => {
+                this.pending.delete(getKey(event));
+                this._deliver(event);
+            });
+    }
+
+    _deliver(data) {
+        this._saveCheckpoint(data);
+        this.callback(null, data);
+    }
+
+    _saveCheckpoint(data) {
+        if (!this.checkpoint || data.blockNumber > this.checkpoint.blockNumber)
+            this.checkpoint = { blockNumber: data.blockNumber, keys: [] };
+
+        this.checkpoint.keys.push(getKey(data));
+        this._storeCheckpoint();
+    }
+
+    // a removed event may be included again, so it's not regarded as delivered anymore
+    _removeFromCheckpoint(data) {
+        const { checkpoint } = this;
+        if (!checkpoint || data.blockNumber > checkpoint.blockNumber) return;
+
+        // the keys of an earlier block are not kept, a reorganized block gets all its events removed anyway
+        const key = getKey(data);
+        this.checkpoint = data.blockNumber < checkpoint.blockNumber
+            ? { blockNumber: data.blockNumber, keys: [] }
+            : { blockNumber: checkpoint.blockNumber, keys: checkpoint.keys.filter(item => item !== key) };
+
+        this._storeCheckpoint();
+    }
+
+    _storeCheckpoint() {
+        if (!this.store) return;
+
+        Promise.resolve()
+            .then(() => this.store.saveCheckpoint(this.checkpointId, _.cloneDeep(this.checkpoint)))
+            .catch(error => log.error(`[${process.pid}] [${this.address}] -> unable to save the checkpoint: ${error.message}`));
     }
 }
 
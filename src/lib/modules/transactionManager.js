@@ -5,18 +5,41 @@ const bn = require('big-integer');
 const _ = require('lodash');
 
 const TransactionObject = require('./transactionObject');
+const { MemoryStore } = require('../stores');
+const { log } = require('../logger');
 const utils = require('../utils');
 
 const {
     FixedLengthArray,
     toChecksum,
+    encodeFees,
     fromWei,
+    isTupleArgument,
+    resolveMethod,
+    getAbiItems,
+    findRevertData,
+    decodeRevertData,
+    decodeOutputs,
     sleep,
     _to
 } = utils;
 
+// the nonce of a legacy transaction is the first item of its RLP list
+const decodeNonce = rawTransaction => {
+    const bytes = Buffer.from(rawTransaction.slice(2), 'hex');
+    if (bytes[0] < 0xC0) throw new Error('a legacy transaction is expected');
+
+    const offset = bytes[0] > 0xF7 ? bytes[0] - 0xF6 : 1;
+    const prefix = bytes[offset];
+    if (prefix < 0x80) return prefix;
+
+    const nonce = bytes.slice(offset + 1, offset + 1 + prefix - 0x80).toString('hex');
+    return nonce ? parseInt(nonce, 16) : 0;
+};
+
 class TransactionManager {
-    constructor(enforce = false) {
+    // the store is used by a new instance only, the existing singleton keeps its own one (see setStore)
+    constructor(enforce = false, store) {
         //return a singleton by default
         if (TransactionManager._instance && !enforce)
             return TransactionManager._instance;
@@ -27,10 +50,72 @@ class TransactionManager {
         this.retries = 0;
         this._lockMap = {};
         this._nonceInUse = {};
+        this._senders = new Map();
+        this._replaced = new Map();
         this._idCounter = Math.round(Math.random() * Number.MAX_SAFE_INTEGER);
+        this.setStore(store || new MemoryStore());
         TransactionManager._instance = this;
     }
 
+    // the loaded history replaces the current one, so the store can't be changed while transactions are in flight
+    setStore(store) {
+        const inFlight = this.getPendingTransactions().length + this.getSubmittedTransactions().length;
+        if (inFlight > 0)
+            throw new Error(`The store can't be changed while ${inFlight} transaction(s) are pending or submitted!`);
+
+        this.store = store;
+        const { tx, stat, nonceInUse } = store.load();
+
+        // a pending tx has never been sent, the process that owned it is gone
+        tx.filter(txMeta => txMeta.status === 'pending').forEach(txMeta => {
+            txMeta.status = 'failed';
+            store.saveTx(txMeta);
+        });
+
+        this.tx = tx;
+
+        if (stat) {
+            this.totalGasUsed = bn(stat.totalGasUsed);
+            this.totalEthSpent = parseFloat(stat.totalEthSpent);
+            this.retries = stat.retries;
+        }
+
+        this._nonceInUse = {};
+        Object.keys(nonceInUse).forEach(address => {
+            this._nonceInUse[address] = new FixedLengthArray(200, true);
+            this._nonceInUse[address].push(...nonceInUse[address]);
+        });
+
+        return this;
+    }
+
+    async reconcile(w3) {
+        // a signed tx may have been broadcast by another machine
+        const submitted = this.getSubmittedTransactions().concat(this.getSignedTransactions());
+
+        for (const txMeta of submitted) {
+            if (!txMeta.from) {
+                log.warn(`reconcile: ${txMeta.id} - the sender is not known, the transaction is skipped`);
+                continue;
+            }
+
+            const receipt = txMeta.txHash ? await w3.eth.getTransactionReceipt(txMeta.txHash) : null;
+
+            if (receipt) {
+                txMeta.blockNumber = receipt.blockNumber;
+                txMeta.gasUsed = receipt.gasUsed;
+                this.updateStat(receipt.gasUsed, this._getEffectiveGasPrice(txMeta, receipt));
+                this._finalizeTx(txMeta, receipt.status === false);
+                continue;
+            }
+
+            const networkNonce = await w3.eth.getTransactionCount(txMeta.from);
+            if (txMeta.nonce < networkNonce) this._finalizeTx(txMeta, true); // replaced by another tx
+        }
+
+        return this.getTxStat();
+    }
+
     addTx(txMeta) {
         delete txMeta.txHash;
         delete txMeta.data;
@@ -47,6 +132,7 @@ class TransactionManager {
 
         txMeta.id = this._createRandomId();
         this.tx.push(txMeta);
+        this.store.saveTx(txMeta);
     }
 
     getFailedTransactions(address) {
@@ -65,6 +151,10 @@ class TransactionManager {
         return this._filterTxByStatus(address, 'submitted');
     }
 
+    getSignedTransactions(address) {
+        return this._filterTxByStatus(address, 'signed');
+    }
+
     getFilteredTxList(opts, initialList) {
         let filteredTxList = initialList;
         Object.keys(opts).forEach(key => {
@@ -83,35 +173,166 @@ class TransactionManager {
         txMeta.duration = (txMeta.lastUpdate - txMeta.time) / 1000;
         const index = this.tx.findIndex(tx => tx.id === txMeta.id);
         Object.keys(txMeta).forEach(key => (this.tx[index][key] = txMeta[key]));
+        log.debug(() => `updateTx[${txMeta.retry || 0}]: ${txMeta.id} -> ${JSON.stringify(this.tx[index])}`);
+        this.store.saveTx(this.tx[index]);
+        this.store.saveStat(this._getStat());
     }
 
     async getTxMeta(...args) {
         const obj = args.shift();
-        const method = args.shift();
+        const name = args.shift();
+
+        // a trailing tuple argument is a plain object as well
+        const options = _.isPlainObject(_.last(args)) && !isTupleArgument(obj.abi, name, args.length) ? args.pop() : {};
+        const flags = this._takeSendFlags(options);
+
+        // an overloaded method is called by the signature of the overload the arguments fit
+        const { method, args: methodArgs } = obj.abi ? resolveMethod(obj.abi, name, args) : { method: name, args };
 
-        const options = _.isPlainObject(_.last(args)) ? args.pop() : {};
         if (!obj.accounts || obj.accounts.length === 0) await obj.init();
 
         options.from = options.from || obj.wallet;
-        let txType = 'call';
 
-        if (!obj._call.includes(method)) {
-            txType = 'send';
-            options.gas = options.gas || obj.gasLimit;
-            options.gasPrice = options.gasPrice || obj.gasPrice;
-            const blockGasPrice = await obj.getGasPrice();
+        const txMeta = {
+            from: options.from,
+            to: obj.address,
+            method,
+            methodArgs,
+            options,
+            txType: obj._call.includes(method) ? 'call' : 'send'
+        };
 
-            if (!options.gasPrice) options.gasPrice = Math.ceil(blockGasPrice * 1.2);
+        if (txMeta.txType === 'send') {
+            await this._prepareSend(obj, txMeta, method === 'deploy' ? 'contract' : undefined);
+            Object.assign(txMeta, flags);
         }
 
-        return new TransactionObject({
+        return new TransactionObject(txMeta);
+    }
+
+    // tx - { to, data, value }; a transfer of ETH or a call with raw calldata (e.g. of a receive/fallback function)
+    async getRawTxMeta(obj, method, tx, options) {
+        options = Object.assign({}, options);
+        const flags = this._takeSendFlags(options);
+
+        if (tx.data !== undefined && !/^0x([0-9a-f]{2})*$/i.test(tx.data))
+            throw new Error(`Invalid calldata: ${tx.data}, a hex string is expected`);
+
+        if (!obj.accounts || obj.accounts.length === 0) await obj.init();
+
+        options.from = options.from || obj.wallet;
+        if (tx.value !== undefined) options.value = tx.value;
+
+        const txMeta = {
             from: options.from,
-            to: obj.address,
+            to: toChecksum(tx.to),
             method,
-            methodArgs: args,
+            methodArgs: tx.data ? [tx.data] : [],
             options,
-            txType
-        });
+            txType: 'send',
+            raw: true
+        };
+
+        await this._prepareSend(obj, txMeta);
+        Object.assign(txMeta, flags);
+
+        return new TransactionObject(txMeta);
+    }
+
+    // the options that define how a transaction is sent, they are not passed to web3
+    _takeSendFlags(options) {
+        const { simulate, broadcast } = options;
+        delete options.simulate;
+        delete options.broadcast;
+
+        return _.omitBy({ simulate, signOnly: broadcast === false }, flag => !flag);
+    }
+
+    // sets the gas and the fees of a send-type transaction
+    async _prepareSend(obj, txMeta, path) {
+        const { options } = txMeta;
+
+        if (!options.gas && obj.gasEstimation) {
+            const gasEstimate = await this._estimateGas(obj, txMeta, path);
+            if (gasEstimate) {
+                txMeta.gasEstimate = gasEstimate;
+                options.gas = this._applyEstimation(obj, txMeta.method, gasEstimate);
+            }
+        }
+
+        options.gas = options.gas || obj.gasLimit;
+        options.gasPrice = options.gasPrice || obj.gasPrice;
+
+        // a legacy-only signer (see signers) gets legacy transactions, so the replacements raise their gasPrice
+        if (obj.w3 && obj.w3.signer && obj.w3.signer.legacyOnly) {
+            if (options.maxFeePerGas || options.maxPriorityFeePerGas)
+                log.warn(`getTxMeta: ${txMeta.method} - the signer signs the legacy transactions only, the type-2 fees are ignored`);
+
+            delete options.maxFeePerGas;
+            delete options.maxPriorityFeePerGas;
+            return this._setGasPrice(obj, options);
+        }
+
+        // type-2 transactions are opt-in: the feeMarket flag or the type-2 fees of the instance or of the call
+        const customFees = options.maxFeePerGas || options.maxPriorityFeePerGas;
+        const type2 = obj.feeMarket || obj.maxFeePerGas || obj.maxPriorityFeePerGas || customFees;
+        const feeData = options.gasPrice || !type2 ? null : await obj.getFeeData();
+
+        if (feeData || customFees) {
+            if (!feeData && !(options.maxFeePerGas && options.maxPriorityFeePerGas))
+                throw new Error('The latest block has no base fee, both maxFeePerGas and maxPriorityFeePerGas must be defined!');
+
+            delete options.gasPrice;
+            options.maxPriorityFeePerGas = options.maxPriorityFeePerGas || feeData.maxPriorityFeePerGas;
+            options.maxFeePerGas = options.maxFeePerGas ||
+                Math.max(feeData.maxFeePerGas, options.maxPriorityFeePerGas);
+        } else {
+            await this._setGasPrice(obj, options);
+        }
+    }
+
+    async _setGasPrice(obj, options) {
+        const blockGasPrice = await obj.getGasPrice();
+        if (!options.gasPrice) options.gasPrice = Math.ceil(blockGasPrice * 1.2);
+    }
+
+    // resolves with null if the estimation fails, the gasLimit is used in that case
+    async _estimateGas(obj, txMeta, path) {
+        const { from, value } = txMeta.options;
+        const estimateGas = this._getMethod(obj, txMeta, path).estimateGas(_.omitBy({ from, value }, _.isUndefined));
+        const [err, estimate] = await _to(estimateGas);
+
+        if (err) {
+            log.warn(`getTxMeta: ${txMeta.method} - the gas estimation has failed, using the gasLimit ${obj.gasLimit}: ${err.message}`);
+            return null;
+        }
+
+        return Number(estimate);
+    }
+
+    // the web3 method of a contract or its equivalent for a raw transaction
+    _getMethod(obj, txMeta, path) {
+        const { method, methodArgs } = txMeta;
+        if (!txMeta.raw) return _.get(obj, path || 'contract.methods')[method](...methodArgs);
+
+        const tx = _.omitBy({ to: txMeta.to, data: methodArgs[0] }, _.isUndefined);
+
+        return {
+            send: options => obj.w3.eth.sendTransaction(Object.assign({}, options, tx)),
+            estimateGas: options => obj.w3.eth.estimateGas(Object.assign({}, options, tx)),
+            call: options => obj.w3.eth.call(Object.assign({}, options, tx)),
+            encodeABI: () => tx.data || '0x'
+        };
+    }
+
+    _applyEstimation(obj, method, gasEstimate) {
+        const { multiplier, cap } = Object.assign({ multiplier: 1.2, cap: null }, obj.gasEstimation);
+
+        if (cap && gasEstimate > cap)
+            throw new Error(`The ${method} gas estimate ${gasEstimate} exceeds the cap of ${cap}!`);
+
+        const gas = Math.ceil(gasEstimate * multiplier);
+        return cap ? Math.min(gas, Number(cap)) : gas;
     }
 
     async getNonce(address, w3) {
@@ -125,10 +346,11 @@ class TransactionManager {
             const highestSuggested = Math.max(nextNetworkNonce, highestLocallyConfirmed);
 
             const submittedTxs = this.getSubmittedTransactions(address);
+            const signedTxs = this.getSignedTransactions(address);
             const pendingTxs = this.getPendingTransactions(address).filter(tx => tx.nonce > 0);
 
             const localNonceResult = this._getHighestContinuousFrom(
-                submittedTxs.concat(pendingTxs),
+                submittedTxs.concat(signedTxs, pendingTxs),
                 highestSuggested,
                 address) || 0;
 
@@ -142,17 +364,26 @@ class TransactionManager {
     }
 
     async submitTx(obj, txMeta, defer, path) {
-        const exec = _.get(obj, path || 'contract.methods');
-
-        const { method, methodArgs, options, txType } = txMeta;
+        const { method, options, txType } = txMeta;
 
         if (txType === 'call')
-            return await _to(exec[method](...methodArgs).call(options));
+            return await _to(this._getMethod(obj, txMeta, path).call(options));
 
+        log.debug(() => JSON.stringify(this.getTxStat()));
         this.addTx(txMeta);
 
+        if (txMeta.simulate) {
+            const err = await this._simulateTx(obj, txMeta, path);
+            if (err) {
+                this._finalizeTx(txMeta, err);
+                return [err, null];
+            }
+        }
+
         const { nextNonce, releaseNonceLock } = await this.getNonce(options.from, obj.w3);
 
+        if (txMeta.signOnly) return this._signTx(obj, txMeta, path, nextNonce, releaseNonceLock);
+
         await this._waitQueue();
 
         options.nonce = options.nonce || nextNonce;
@@ -161,41 +392,270 @@ class TransactionManager {
 
         releaseNonceLock();
 
-        const [err, result] = await _to(
-            exec[method](...methodArgs)
-                .send(options)
+        this._senders.set(txMeta.id, { obj, path, defer });
+        const replaced = new Promise(resolve => this._replaced.set(txMeta.id, resolve));
+
+        const sent = this._track(obj, txMeta, defer, this._getMethod(obj, txMeta, path).send(encodeFees(options)));
+
+        let [err, result] = await Promise.race([sent, replaced]);
+
+        // the original tx has been dropped, wait for one of its replacements
+        if (err && txMeta.replacements && txMeta.status === 'submitted') [err, result] = await replaced;
+
+        this._senders.delete(txMeta.id);
+        this._replaced.delete(txMeta.id);
+
+        if (!err && method === 'deploy' && path === 'contract') {
+            const address = result.options ? result.options.address : result.contractAddress;
+            log.debug(` address ${address}`);
+            log.debug(() => JSON.stringify({ deploy: { gasUsed: txMeta.gasUsed, totalGasUsed: txMeta.totalGasUsed } }));
+            obj.at(address);
+        }
+
+        if (err) await this._attachRevert(obj, txMeta, err, path);
+        if (txMeta.status === 'submitted') this._finalizeTx(txMeta, err);
+
+        return [err, result];
+    }
+
+    // the events of a sent transaction -> [err, result]
+    _track(obj, txMeta, defer, send) {
+        return _to(
+            send
                 .on('transactionHash', hash => {
+                    log.debug(`transactionHash: ${txMeta.id} -> ${hash}`);
+                    if (txMeta.method === 'deploy') log.debug(` Tx hash: ${hash}`);
                     defer.emit('transactionHash', hash);
                     txMeta.txHash = hash;
                 })
                 .on('receipt', receipt => {
+                    if (txMeta.blockNumber) return; // already settled by a replacement watcher
                     defer.emit('receipt', receipt);
                     txMeta.blockNumber = receipt.blockNumber;
-                    this._calculateGasExpenses(obj, txMeta, receipt.gasUsed);
+                    this._calculateGasExpenses(obj, txMeta, receipt.gasUsed, this._getEffectiveGasPrice(txMeta, receipt));
                 })
                 .on('error', e => {
+                    if (txMeta.status !== 'submitted') return;
                     defer.emit('error', e);
-                    this._checkError(e, options.from, txMeta);
+                    if (txMeta.from) this._checkError(e, txMeta.from, txMeta);
                 })
         );
+    }
 
-        if (!err && method === 'deploy' && path === 'contract')
-            obj.at(result.options.address);
+    // Signs the transaction with the allocated nonce instead of sending it. The tx meta is kept as 'signed',
+    // its nonce is not reused until the transaction is broadcast (see broadcast) or reconciled.
+    async _signTx(obj, txMeta, path, nextNonce, releaseNonceLock) {
+        const { options } = txMeta;
 
-        this._finalizeTx(txMeta, err);
+        try {
+            options.nonce = options.nonce || nextNonce;
+            txMeta.nonce = options.nonce;
 
-        return [err, result];
+            const tx = _.omitBy(Object.assign(
+                this._buildTx(obj, txMeta, path),
+                _.pick(options, ['gasPrice', 'maxFeePerGas', 'maxPriorityFeePerGas', 'nonce'])
+            ), _.isUndefined);
+
+            const signed = await obj.w3.eth.signTransaction(encodeFees(tx));
+
+            txMeta.rawTransaction = _.isString(signed) ? signed : signed.raw;
+            txMeta.txHash = obj.w3.utils.sha3(txMeta.rawTransaction);
+            this.updateTx(txMeta, 'signed');
+            log.debug(`signTx: SIGNED - ${txMeta.id} -> ${txMeta.txHash}`);
+
+            return [null, txMeta];
+        } catch (error) {
+            this._finalizeTx(txMeta, error);
+            return [error, null];
+        } finally {
+            releaseNonceLock();
+        }
+    }
+
+    // Sends a transaction signed with the broadcast: false option. raw - the tx meta (or its JSON copy made on another
+    // machine) or the bare signed payload; an unknown transaction is added to the history.
+    async broadcast(obj, raw, defer = { emit: _.noop }) {
+        const txMeta = this._getSignedTx(obj, raw);
+
+        if (!['signed', 'failed'].includes(txMeta.status))
+            throw new Error(`Transaction ${txMeta.id} is ${txMeta.status}, only signed transactions can be broadcast!`);
+
+        delete txMeta.signOnly;
+        delete txMeta.blockNumber;
+        this.updateTx(txMeta, 'submitted');
+
+        const [err, receipt] = await this._track(obj, txMeta, defer, obj.w3.eth.sendSignedTransaction(txMeta.rawTransaction));
+
+        if (receipt) {
+            txMeta.from = txMeta.from || toChecksum(receipt.from);
+            if (txMeta.to === undefined && receipt.to) txMeta.to = toChecksum(receipt.to);
+        }
+
+        if (err) await this._attachRevert(obj, txMeta, err);
+        if (txMeta.status === 'submitted') this._finalizeTx(txMeta, err);
+
+        return [err, receipt];
+    }
+
+    _getSignedTx(obj, raw) {
+        const rawTransaction = _.isString(raw) ? raw : _.get(raw, 'rawTransaction');
+        if (!/^0x([0-9a-f]{2})+$/i.test(rawTransaction))
+            throw new Error(`Invalid signed transaction: ${rawTransaction}, a hex string is expected`);
+
+        const known = this.tx.find(txMeta => txMeta.rawTransaction === rawTransaction);
+        if (known) return known;
+
+        // signed on another machine, the sender and the nonce of a bare payload are taken out of it
+        const meta = _.isString(raw) ? {} : _.omit(raw, ['id', 'status', 'time', 'lastUpdate', 'duration']);
+        if (!meta.from || meta.nonce === undefined) {
+            const decoded = this._decodeSignedTx(obj, rawTransaction);
+            meta.from = meta.from || decoded.from;
+            if (meta.nonce === undefined) meta.nonce = decoded.nonce;
+        }
+
+        const txMeta = new TransactionObject(Object.assign(
+            { method: 'broadcast', methodArgs: [], options: {}, txType: 'send' },
+            meta,
+            { rawTransaction, status: 'signed' }
+        ));
+
+        this.addTx(txMeta);
+        txMeta.txHash = obj.w3.utils.sha3(rawTransaction);
+        this.store.saveTx(txMeta);
+
+        return txMeta;
+    }
+
+    _decodeSignedTx(obj, rawTransaction) {
+        try {
+            const from = toChecksum(obj.w3.eth.accounts.recoverTransaction(rawTransaction));
+            return { from, nonce: decodeNonce(rawTransaction) };
+        } catch (error) {
+            throw new Error(`Unable to decode the signed transaction, pass its tx meta instead: ${error.message}`);
+        }
+    }
+
+    async _attachRevert(obj, txMeta, err, path) {
+        const [decodeErr, revert] = await _to(this.decodeRevert(obj, txMeta, err, path));
+        if (decodeErr) log.debug(`decodeRevert: ${txMeta.id} - ${decodeErr.message}`);
+        if (!revert) return;
+
+        err.revert = revert;
+        txMeta.revert = revert;
+
+        // a replaced transaction has been finalized already
+        if (txMeta.status !== 'submitted') this.store.saveTx(txMeta);
+    }
+
+    // Resolves with { name, args, reason } or null. If the error carries no revert data, a mined transaction is replayed
+    // as an eth_call at its block, a rejected one - at the latest block.
+    async decodeRevert(obj, txMeta, err, path) {
+        const { abi } = obj;
+        const coder = obj.w3.eth.abi;
+
+        const revert = decodeRevertData(findRevertData(err), abi, coder);
+        if (revert) return revert;
+
+        let block;
+        if (txMeta.txHash) {
+            const receipt = await obj.w3.eth.getTransactionReceipt(txMeta.txHash);
+            if (!receipt || receipt.status !== false) return null;
+            block = obj.w3.utils.numberToHex(receipt.blockNumber);
+        } else if (/revert/i.test(err.message)) {
+            block = 'latest';
+        } else {
+            return null;
+        }
+
+        const response = await this._rawCall(obj, txMeta, path, block);
+        return decodeRevertData(response.error ? findRevertData(response.error) : response.result, abi, coder);
+    }
+
+    // Runs the transaction as an eth_call against the pending block -> { success: true, result } | { success: false, error }.
+    // The error of a reverted call has the decoded revert attached (see decodeRevert).
+    async simulate(obj, txMeta, path) {
+        const response = await this._rawCall(obj, txMeta, path, 'pending');
+        const isDeploy = txMeta.method === 'deploy' && path === 'contract';
+
+        if (!response.error) {
+            const outputs = isDeploy || txMeta.raw ? null : this._getOutputs(obj, txMeta);
+            return { success: true, result: outputs ? decodeOutputs(obj.w3.eth.abi, outputs, response.result) : response.result };
+        }
+
+        const error = new Error(`The simulation of ${txMeta.method} has failed: ${response.error.message}`);
+        const revert = decodeRevertData(findRevertData(response.error), obj.abi, obj.w3.eth.abi);
+        if (revert) error.revert = revert;
+
+        return { success: false, error };
+    }
+
+    _getOutputs(obj, txMeta) {
+        const item = getAbiItems(obj.abi, txMeta.method).find(entry => (entry.inputs || []).length === txMeta.methodArgs.length);
+        return item ? item.outputs || [] : null;
+    }
+
+    // resolves with an error if the transaction must not be sent, a simulation that can't be run is a failure as well
+    async _simulateTx(obj, txMeta, path) {
+        const { abort = true } = Object.assign({}, txMeta.simulate);
+        const [err, simulation] = await _to(this.simulate(obj, txMeta, path));
+
+        if (err) {
+            log.warn(`submitTx: ${txMeta.id} - the simulation has not been run: ${err.message}`);
+            return abort ? new Error(`The simulation of ${txMeta.method} has not been run: ${err.message}`) : null;
+        }
+
+        if (simulation.success) return null;
+
+        const { error } = simulation;
+        if (error.revert) txMeta.revert = error.revert;
+        log.warn(`submitTx: ${txMeta.id} - ${error.message}${error.revert ? ` (${error.revert.reason})` : ''}`);
+
+        return abort ? error : null;
+    }
+
+    // the raw request is sent, since web3 drops the data of the JSON-RPC errors
+    _rawCall(obj, txMeta, path, block) {
+        const { numberToHex } = obj.w3.utils;
+        const { from, value, gas } = txMeta.options;
+
+        const tx = _.omitBy({
+            from,
+            to: txMeta.method === 'deploy' && path === 'contract' ? undefined : txMeta.to,
+            value: value ? numberToHex(value) : undefined,
+            gas: gas ? numberToHex(gas) : undefined,
+            data: this._encodeTx(obj, txMeta, path)
+        }, _.isUndefined);
+
+        const provider = obj.w3.currentProvider;
+        const send = provider.sendAsync || provider.send;
+        const payload = { jsonrpc: '2.0', id: Date.now(), method: 'eth_call', params: [tx, block] };
+
+        // web3-provider-engine (truffle-hdwallet-provider) passes a JSON-RPC error both as the error and within the response
+        return new Promise((resolve, reject) => {
+            send.call(provider, payload, (error, response) => {
+                if (!error) return resolve(response);
+                if (!response) return reject(error);
+                resolve(response.error ? response : Object.assign({}, response, { error }));
+            });
+        });
+    }
+
+    async speedUp(id, options = {}) {
+        return this._replace(id, options, false);
+    }
+
+    async cancel(id, options = {}) {
+        return this._replace(id, options, true);
     }
 
     getTxStat() {
         return {
             submitted: this.getSubmittedTransactions().length,
+            signed: this.getSignedTransactions().length,
             pending: this.getPendingTransactions().length,
             failed: this.getFailedTransactions().length,
             confirmed: this.getConfirmedTransactions().length,
-            retries: this.retries,
-            totalGasUsed: this.totalGasUsed.toString(),
-            totalEthSpent: this.totalEthSpent.toString()
+            ...this._getStat()
         };
     }
 
@@ -203,20 +663,176 @@ class TransactionManager {
         const weiSpent = bn(gasUsed).multiply(bn(gasPrice)).toString();
         this.totalGasUsed = this.totalGasUsed.add(bn(gasUsed));
         this.totalEthSpent = this.totalEthSpent + parseFloat(fromWei(weiSpent));
+        this.store.saveStat(this._getStat());
+    }
+
+    _getStat() {
+        return {
+            retries: this.retries,
+            totalGasUsed: this.totalGasUsed.toString(),
+            totalEthSpent: this.totalEthSpent.toString()
+        };
     }
 
-    _calculateGasExpenses(obj, txMeta, gasUsed = 0) {
+    _calculateGasExpenses(obj, txMeta, gasUsed = 0, gasPrice = txMeta.options.gasPrice) {
         obj.gasUsed = gasUsed;
         obj.totalGasUsed = bn(obj.totalGasUsed).add(bn(gasUsed)).toString();
 
         txMeta.gasUsed = gasUsed;
         txMeta.totalGasUsed = obj.totalGasUsed;
 
-        this.updateStat(gasUsed, txMeta.options.gasPrice);
+        this.updateStat(gasUsed, gasPrice);
+    }
+
+    _getEffectiveGasPrice(txMeta, receipt) {
+        // type-2 transactions are charged by the price the block has set, the maxFeePerGas is just an upper bound
+        if (receipt && receipt.effectiveGasPrice) {
+            txMeta.effectiveGasPrice = String(Number(receipt.effectiveGasPrice));
+            return txMeta.effectiveGasPrice;
+        }
+
+        return txMeta.options.gasPrice || txMeta.options.maxFeePerGas;
+    }
+
+    async _replace(id, options, cancel) {
+        const [txMeta] = this.getFilteredTxList({ id });
+        if (!txMeta) throw new Error(`Transaction ${id} is not found!`);
+        if (txMeta.status !== 'submitted')
+            throw new Error(`Transaction ${id} is ${txMeta.status}, only submitted transactions can be replaced!`);
+
+        const sender = this._senders.get(id);
+        if (!sender) throw new Error(`Transaction ${id} has not been submitted by this process!`);
+
+        const { obj, path } = sender;
+        const { from, nonce } = txMeta;
+        const fees = await this._getReplacementFees(obj, txMeta, options);
+
+        const tx = cancel
+            ? { from, to: from, value: 0, gas: 21000, ...fees, nonce }
+            : { ...this._buildTx(obj, txMeta, path), ...fees, nonce };
+
+        const txHash = await new Promise((resolve, reject) => {
+            const send = obj.w3.eth.sendTransaction(encodeFees(tx));
+            send.once('transactionHash', resolve);
+            send.catch(reject);
+        });
+
+        const type = cancel ? 'cancel' : 'speedUp';
+        log.info(`${type}: ${id} -> ${txHash}, ${JSON.stringify(fees)}`);
+
+        txMeta.replacements = (txMeta.replacements || []).concat({ type, txHash, ...fees });
+        this.updateTx(txMeta, 'submitted');
+
+        return this._watchReplacements(obj.w3, txMeta, options);
+    }
+
+    async _getReplacementFees(obj, txMeta, options) {
+        const attempts = [txMeta.options].concat(txMeta.replacements || []);
+        const keys = txMeta.options.maxFeePerGas ? ['maxFeePerGas', 'maxPriorityFeePerGas'] : ['gasPrice'];
+        const feeData = txMeta.options.maxFeePerGas
+            ? (await obj.getFeeData()) || {}
+            : { gasPrice: await obj.getGasPrice(1.2) };
+
+        const fees = {};
+        keys.forEach(key => {
+            // nodes reject replacements that don't raise the fees by 10% at least
+            const minFee = Math.ceil(Math.max(...attempts.map(item => +item[key])) * 11 / 10);
+
+            if (options[key] && +options[key] < minFee)
+                throw new Error(`The ${key} must be at least ${minFee} wei to replace transaction ${txMeta.id}!`);
+
+            fees[key] = options[key] ? +options[key] : Math.max(minFee, feeData[key] || 0);
+        });
+
+        if (fees.maxFeePerGas) fees.maxFeePerGas = Math.max(fees.maxFeePerGas, fees.maxPriorityFeePerGas);
+
+        return fees;
+    }
+
+    _buildTx(obj, txMeta, path) {
+        return {
+            from: txMeta.from,
+            to: txMeta.method === 'deploy' && path === 'contract' ? undefined : txMeta.to,
+            value: txMeta.options.value,
+            gas: txMeta.options.gas,
+            data: this._encodeTx(obj, txMeta, path)
+        };
+    }
+
+    _encodeTx(obj, txMeta, path) {
+        return this._getMethod(obj, txMeta, path).encodeABI();
+    }
+
+    async _watchReplacements(w3, txMeta, options) {
+        const interval = options.interval || 5; //seconds
+        const timeout = options.timeout || 750; //seconds
+        const startTime = new Date().getTime();
+
+        while (txMeta.status === 'submitted' && !txMeta.blockNumber) {
+            const hashes = [txMeta.txHash].concat(txMeta.replacements.map(item => item.txHash));
+
+            for (const hash of hashes) {
+                const [, receipt] = await _to(w3.eth.getTransactionReceipt(hash));
+                if (receipt) return this._settleReplacements(txMeta, receipt);
+            }
+
+            if (new Date().getTime() - startTime > timeout * 1000) {
+                const err = new Error(`Transaction ${txMeta.id} was not mined within ${timeout} seconds`);
+                this._resolveReplaced(txMeta, err, null);
+                throw err;
+            }
+
+            await sleep(interval * 1000);
+        }
+
+        // settled by the original sender
+        return w3.eth.getTransactionReceipt(txMeta.txHash);
+    }
+
+    _settleReplacements(txMeta, receipt) {
+        if (txMeta.status !== 'submitted' || txMeta.blockNumber) return receipt;
+
+        const { obj, defer } = this._senders.get(txMeta.id) || {};
+        const replacement = txMeta.replacements.find(item => item.txHash === receipt.transactionHash);
+
+        if (replacement) {
+            txMeta.replacedBy = replacement.txHash;
+            ['gasPrice', 'maxFeePerGas', 'maxPriorityFeePerGas'].forEach(key => {
+                if (replacement[key]) txMeta.options[key] = replacement[key];
+            });
+        }
+
+        txMeta.txHash = receipt.transactionHash;
+        txMeta.blockNumber = receipt.blockNumber;
+        const gasPrice = this._getEffectiveGasPrice(txMeta, receipt);
+        if (obj) this._calculateGasExpenses(obj, txMeta, receipt.gasUsed, gasPrice);
+        else this.updateStat(receipt.gasUsed, gasPrice);
+
+        let err = null;
+        if (replacement && replacement.type === 'cancel') {
+            // a cancelled transaction must not be resent (see sendWithRetry)
+            txMeta.cancelled = true;
+            err = new Error(`Transaction ${txMeta.id} has been cancelled`);
+        } else if (receipt.status === false) err = new Error(`Transaction ${txMeta.id} has been reverted`);
+
+        if (defer && !err) defer.emit('receipt', receipt);
+
+        this._finalizeTx(txMeta, err);
+        this._resolveReplaced(txMeta, err, receipt);
+
+        return receipt;
+    }
+
+    _resolveReplaced(txMeta, err, receipt) {
+        const resolve = this._replaced.get(txMeta.id);
+        if (resolve) resolve([err, receipt]);
     }
 
     _finalizeTx(txMeta, err) {
         let status = err ? 'failed' : 'confirmed';
+        const reason = txMeta.revert ? ` (${txMeta.revert.reason})` : '';
+        if (err) log.warn(`submitTx: FAILED - ${txMeta.id}${err.message ? ': ' + err.message : ''}${reason}`);
+        else log.debug(`submitTx: CONFIRMED - ${txMeta.id}`);
         this.updateTx(txMeta, status);
     }
 
@@ -234,6 +850,7 @@ class TransactionManager {
                 this._nonceInUse[address] = new FixedLengthArray(200, true);
             }
             this._nonceInUse[address].push(nonce);
+            this.store.saveNonce(address, nonce);
         }
     }
 
@@ -0,0 +1,18 @@
+'use strict';
+
+const Interface = require('../interface');
+
+
+// Not bound to a contract: sendEther and sendRaw share the nonce management, the queue, the retries
+// and the expenses tracking with the contract instances (see Interface)
+class Wallet extends Interface {
+    constructor(nodeAddress, mnemonic, web3Instance) {
+        super(nodeAddress, null, mnemonic, web3Instance, []);
+    }
+
+    static web3(web3Instance) {
+        return new Wallet(null, null, web3Instance);
+    }
+}
+
+module.exports = Wallet;
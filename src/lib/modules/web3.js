@@ -2,40 +2,69 @@
 const EventEmitter = require('events');
 const HDWalletProvider = require('truffle-hdwallet-provider');
 const WsProvider = require('../providers/wsProvider');
+const FailoverProvider = require('../providers/failoverProvider');
+const SignerProvider = require('../providers/signerProvider');
+const Signer = require('../signers/signer');
 const Web3js = require('web3');
 const net = require('net');
 const _ = require('lodash');
 
 EventEmitter.defaultMaxListeners = 5000;
 
+const supportedProtocols = ['ws', 'wss', 'http', 'https', 'ipc'];
 
-class Web3 {
-    constructor(nodeAddress, mnemonic) {
-        if (!nodeAddress) throw new Error('The node address is not defined!');
+const getEndpoint = (nodeAddress, options) => {
+    let protocol;
+    if (nodeAddress.search(/\.ipc$/) !== -1) protocol = 'ipc';
+    else protocol = nodeAddress.split(':')[0];
+
+    if (!supportedProtocols.includes(protocol))
+        throw new Error(`"${protocol}" protocol is not supported! ` +
+            `Supported protocols:\n${JSON.stringify(supportedProtocols)}`);
+
+    if (protocol === 'ipc') {
+        const provider = new Web3js.providers.IpcProvider(nodeAddress, net);
+        return { uri: nodeAddress, getProvider: () => provider };
+    }
+
+    if (protocol.startsWith('ws')) {
+        const _ws = new WsProvider(nodeAddress, options);
+        return { uri: nodeAddress, getProvider: () => _ws.provider, emitter: _ws.emitter };
+    }
 
-        const supportedProtocols = ['ws', 'wss', 'http', 'https', 'ipc'];
-        let protocol;
-        if (nodeAddress.search(/\.ipc$/) !== -1) protocol = 'ipc';
-        else protocol = nodeAddress.split(':')[0];
+    const provider = new Web3js.providers.HttpProvider(nodeAddress);
+    return { uri: nodeAddress, getProvider: () => provider };
+};
 
-        if (!supportedProtocols.includes(protocol))
-            throw new Error(`"${protocol}" protocol is not supported! ` +
-                `Supported protocols:\n${JSON.stringify(supportedProtocols)}`);
+
+class Web3 {
+    constructor(nodeAddress, mnemonic, options) {
+        if (!nodeAddress || nodeAddress.length === 0) throw new Error('The node address is not defined!');
+
+        options = options || {};
 
         let provider;
         let emitter = new EventEmitter();
+        let failover = null;
 
-        if (protocol === 'ipc') {
-            provider = new Web3js.providers.IpcProvider(nodeAddress, net);
-        } else if (protocol.startsWith('ws')) {
-            const _ws = new WsProvider(nodeAddress);
-            provider = _ws.provider;
-            emitter = _ws.emitter;
+        const nodeAddresses = _.isArray(nodeAddress) ? nodeAddress : [nodeAddress];
+        const endpoints = nodeAddresses.map(uri => getEndpoint(uri, options));
+
+        if (endpoints.length > 1) {
+            failover = new FailoverProvider(endpoints, options.failover);
+            provider = failover;
+            emitter = failover.emitter;
         } else {
-            provider = new Web3js.providers.HttpProvider(nodeAddress);
+            provider = endpoints[0].getProvider();
+            emitter = endpoints[0].emitter || emitter;
         }
 
-        if (mnemonic) {
+        // the signer takes the place of the mnemonic
+        if (mnemonic instanceof Signer) {
+            // FailoverProvider restores the connections of its endpoints by itself
+            provider = new SignerProvider(provider, mnemonic, failover ? null : endpoints[0].emitter);
+            if (!failover) emitter = provider.emitter;
+        } else if (mnemonic) {
             let accountsToUnlock = 20;
 
             if (mnemonic.indexOf(' ') === -1) {
@@ -48,17 +77,24 @@ class Web3 {
         }
 
         this.emitter = emitter;
+        this.failover = failover;
+        this.signer = mnemonic instanceof Signer ? mnemonic : null;
+        this.nodeAddress = nodeAddresses[0];
         this.web3 = new Web3js(provider);
 
         return new Proxy(this, {
             get: (target, prop) => {
-                if (prop  === 'emitter')
+                if (['emitter', 'failover', 'signer', 'activeEndpoint'].includes(prop))
                     return target[prop];
 
                 return target.web3[prop];
             }
         });
     }
+
+    get activeEndpoint() {
+        return this.failover ? this.failover.activeEndpoint : this.nodeAddress;
+    }
 }
 
 module.exports = Web3;
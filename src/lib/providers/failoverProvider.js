@@ -0,0 +1,192 @@
+'use strict';
+const Events = require('events');
+const { log } = require('../logger');
+
+const defaults = {
+    timeout: 30000, // the time to wait for a response, ms
+    healthCheckInterval: 15000 // 0 disables the health checks
+};
+
+// the methods that must not be repeated on another node once they have been sent
+const nonRetriable = ['eth_sendTransaction'];
+
+// Routes the requests to the first healthy endpoint (in the order they are listed) and switches over on errors and timeouts.
+// JSON-RPC errors are the answers of a node, so they are passed to the caller as is.
+class FailoverProvider {
+    constructor(endpoints, options) {
+        if (!endpoints || endpoints.length === 0) throw new Error('At least one endpoint must be defined!');
+
+        this.options = Object.assign({}, defaults, options);
+        this.emitter = new Events();
+        this.endpoints = endpoints.map(({ uri, getProvider, emitter }) => ({ uri, getProvider, emitter, healthy: true, error: null }));
+        this.active = 0;
+        this.listeners = [];
+        this.attached = new WeakMap();
+        this.requestId = 0;
+
+        // a WebSocket endpoint restores its connection by itself, the subscriptions must be restored if it's the active one;
+        // 'resetProvider' is emitted without a provider, since the contracts keep using this one
+        this.endpoints.forEach((endpoint, index) => {
+            if (!endpoint.emitter) return;
+            endpoint.emitter.on('resetProvider', () => {
+                if (index !== this.active) return;
+                this._attach();
+                this.emitter.emit('resetProvider');
+            });
+        });
+
+        this.startHealthChecks();
+    }
+
+    get activeEndpoint() {
+        return this.endpoints[this.active].uri;
+    }
+
+    send(payload, callback) {
+        this._send(payload, callback, new Set());
+    }
+
+    sendAsync(payload, callback) {
+        this.send(payload, callback);
+    }
+
+    on(type, callback) {
+        this.listeners.push([type, callback]);
+        this._attach();
+    }
+
+    disconnect() {
+        this.stopHealthChecks();
+        this.endpoints.forEach(endpoint => {
+            const provider = endpoint.getProvider();
+            if (provider.disconnect) provider.disconnect();
+        });
+    }
+
+    startHealthChecks() {
+        const { healthCheckInterval } = this.options;
+        if (!healthCheckInterval) return;
+
+        this.stopHealthChecks();
+        this.healthCheck = setInterval(() => this.checkHealth(), healthCheckInterval);
+
+        // the health checks alone do not keep the process running
+        if (this.healthCheck.unref) this.healthCheck.unref();
+    }
+
+    stopHealthChecks() {
+        if (this.healthCheck) clearInterval(this.healthCheck);
+        this.healthCheck = null;
+    }
+
+    checkHealth() {
+        this.endpoints.forEach((endpoint, index) => {
+            const payload = { jsonrpc: '2.0', id: `health-${++this.requestId}`, method: 'net_version', params: [] };
+
+            this._request(endpoint, payload, (error, result) => {
+                if (!error && result && result.error) error = new Error(result.error.message);
+
+                if (error) this._markDown(index, error);
+                else this._markUp(index);
+            });
+        });
+    }
+
+    _send(payload, callback, tried) {
+        const index = this._pick(tried);
+        if (index === -1) return callback(new Error('There is no healthy endpoint to send the request to!'));
+
+        tried.add(index);
+        this._request(this.endpoints[index], payload, (error, result) => {
+            if (!error) return callback(null, result);
+
+            this._markDown(index, error);
+
+            const methods = [].concat(payload).map(item => item.method);
+            if (methods.some(method => nonRetriable.includes(method)) || this._pick(tried) === -1)
+                return callback(error);
+
+            this._send(payload, callback, tried);
+        });
+    }
+
+    _pick(tried) {
+        if (!tried.has(this.active)) return this.active;
+        return this.endpoints.findIndex((endpoint, index) => endpoint.healthy && !tried.has(index));
+    }
+
+    _request(endpoint, payload, callback) {
+        let done = false;
+
+        const finish = (error, result) => {
+            if (done) return;
+            done = true;
+            clearTimeout(timer);
+            callback(error, result);
+        };
+
+        const { timeout } = this.options;
+        const timer = setTimeout(() => finish(new Error(`The request to "${endpoint.uri}" timed out after ${timeout} ms`)), timeout);
+
+        try {
+            endpoint.getProvider().send(payload, finish);
+        } catch (error) {
+            finish(error);
+        }
+    }
+
+    _markDown(index, error) {
+        const endpoint = this.endpoints[index];
+        endpoint.error = error;
+
+        if (endpoint.healthy) {
+            endpoint.healthy = false;
+            log.warn(`[${process.pid}] Failover - "${endpoint.uri}" is down: ${error.message}`);
+            this.emitter.emit('endpointDown', { uri: endpoint.uri, error });
+        }
+
+        if (index !== this.active) return;
+
+        const next = this.endpoints.findIndex(item => item.healthy);
+        if (next !== -1) this._switch(next);
+    }
+
+    _markUp(index) {
+        const endpoint = this.endpoints[index];
+        endpoint.error = null;
+
+        if (!endpoint.healthy) {
+            endpoint.healthy = true;
+            log.info(`[${process.pid}] Failover - "${endpoint.uri}" is up`);
+            this.emitter.emit('endpointUp', { uri: endpoint.uri });
+        }
+
+        // switch back to a preferred endpoint once it's recovered
+        if (index < this.active || !this.endpoints[this.active].healthy) this._switch(index);
+    }
+
+    _switch(index) {
+        if (index === this.active) return;
+
+        const from = this.activeEndpoint;
+        this.active = index;
+
+        log.warn(`[${process.pid}] Failover - switched from "${from}" to "${this.activeEndpoint}"`);
+        this.emitter.emit('failover', { from, to: this.activeEndpoint });
+
+        this._attach();
+        this.emitter.emit('resetProvider');
+    }
+
+    // the subscription notifications ('data' events) come from the active provider
+    _attach() {
+        const provider = this.endpoints[this.active].getProvider();
+        if (!provider || typeof provider.on !== 'function') return;
+
+        const count = this.attached.get(provider) || 0;
+        this.listeners.slice(count).forEach(([type, callback]) => provider.on(type, callback));
+        this.attached.set(provider, this.listeners.length);
+    }
+}
+
+module.exports = FailoverProvider;
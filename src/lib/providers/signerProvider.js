@@ -0,0 +1,162 @@
+'use strict';
+const Events = require('events');
+const { log } = require('../logger');
+const _ = require('lodash');
+
+// the requests answered by the signer, the rest of them are sent to the node as is
+const signerMethods = ['eth_accounts', 'eth_sign', 'personal_sign', 'eth_signTransaction', 'eth_sendTransaction'];
+
+// the events of a WebSocket provider (see ./wsProvider) passed on as they are
+const connectionEvents = ['disconnected', 'reconnecting', 'connected', 'giveUp'];
+
+// Wraps a provider and hands the accounts and the signing over to a signer (see ../signers):
+// eth_sendTransaction is signed by the signer and sent to the node as eth_sendRawTransaction.
+class SignerProvider {
+    // emitter - the emitter of a WebSocket provider, if the wrapped provider is one
+    constructor(provider, signer, emitter) {
+        if (!signer) throw new Error('The signer is not defined!');
+
+        this.provider = provider;
+        this.signer = signer;
+        this.emitter = new Events();
+        this.listeners = [];
+        this.attached = new WeakMap();
+        this.requestId = 0;
+        this.chainId = null;
+
+        // a restored WebSocket connection is wrapped in place of the lost one, the contracts keep using this provider,
+        // so 'resetProvider' is emitted without a provider (as FailoverProvider does)
+        if (emitter) {
+            connectionEvents.forEach(event => emitter.on(event, info => this.emitter.emit(event, info)));
+            emitter.on('resetProvider', restored => {
+                if (restored) this.setProvider(restored);
+                this.emitter.emit('resetProvider');
+            });
+        }
+    }
+
+    // the Interface takes the accounts of a provider from here, a remote signer gets them on init
+    get addresses() {
+        return this.signer.addresses;
+    }
+
+    // a restored WebSocket connection
+    setProvider(provider) {
+        this.provider = provider;
+        this._attach();
+    }
+
+    send(payload, callback) {
+        const requests = [].concat(payload);
+        if (!requests.some(request => signerMethods.includes(request.method))) return this.provider.send(payload, callback);
+
+        Promise.all(requests.map(request => this._handle(request)))
+            .then(responses => callback(null, _.isArray(payload) ? responses : responses[0]))
+            .catch(callback);
+    }
+
+    sendAsync(payload, callback) {
+        this.send(payload, callback);
+    }
+
+    on(type, callback) {
+        this.listeners.push([type, callback]);
+        this._attach();
+    }
+
+    disconnect() {
+        if (this.provider.disconnect) this.provider.disconnect();
+    }
+
+    // the failures of the signer are answered as JSON-RPC errors, as a node would do
+    async _handle(request) {
+        try {
+            return await this._call(request);
+        } catch (error) {
+            log.warn(`[${process.pid}] Signer - ${request.method} has failed: ${error.message}`);
+            return { jsonrpc: '2.0', id: request.id, error: { code: -32000, message: error.message } };
+        }
+    }
+
+    async _call(request) {
+        const { method, params } = request;
+        const respond = result => ({ jsonrpc: '2.0', id: request.id, result });
+
+        if (method === 'eth_accounts') return respond(await this.signer.getAddresses());
+        if (method === 'eth_sign') return respond(await this.signer.sign(params[0], params[1]));
+        if (method === 'personal_sign') return respond(await this.signer.sign(params[1], params[0]));
+
+        if (method === 'eth_signTransaction' || method === 'eth_sendTransaction') {
+            const tx = await this._fillTx(params[0]);
+            const raw = await this.signer.signTransaction(tx);
+
+            if (method === 'eth_signTransaction') return respond({ raw, tx });
+            return this._request(Object.assign({}, request, { method: 'eth_sendRawTransaction', params: [raw] }));
+        }
+
+        return this._request(request);
+    }
+
+    // the fields a node fills in for eth_sendTransaction
+    async _fillTx(tx) {
+        tx = Object.assign({}, tx);
+
+        if (this.signer.legacyOnly && (tx.maxFeePerGas !== undefined || tx.maxPriorityFeePerGas !== undefined))
+            tx = await this._toLegacy(tx);
+
+        if (tx.nonce === undefined) tx.nonce = await this._query('eth_getTransactionCount', [tx.from, 'pending']);
+        if (tx.chainId === undefined) tx.chainId = await this._getChainId();
+        if (tx.gas === undefined) tx.gas = await this._query('eth_estimateGas', [_.pick(tx, ['from', 'to', 'data', 'value'])]);
+        if (tx.gasPrice === undefined && tx.maxFeePerGas === undefined) tx.gasPrice = await this._query('eth_gasPrice', []);
+
+        return tx;
+    }
+
+    // A legacy transaction pays its gasPrice in full, so it gets the price a type-2 one would pay in the latest block:
+    // the base fee and the tip, capped by the maxFeePerGas.
+    async _toLegacy(tx) {
+        const block = await this._query('eth_getBlockByNumber', ['latest', false]);
+        const maxFee = tx.maxFeePerGas === undefined ? Infinity : Number(tx.maxFeePerGas);
+        const gasPrice = Math.min(maxFee, Number(block.baseFeePerGas || 0) + Number(tx.maxPriorityFeePerGas || 0));
+
+        log.warn(`[${process.pid}] Signer - the type-2 transaction of ${tx.from} is signed as a legacy one, gasPrice: ${gasPrice}`);
+        return Object.assign(_.omit(tx, ['maxFeePerGas', 'maxPriorityFeePerGas']), { gasPrice: `0x${gasPrice.toString(16)}` });
+    }
+
+    // the chain id is requested once
+    _getChainId() {
+        if (!this.chainId) {
+            this.chainId = this._query('eth_chainId', []).catch(error => {
+                this.chainId = null;
+                throw error;
+            });
+        }
+
+        return this.chainId;
+    }
+
+    async _query(method, params) {
+        const response = await this._request({ jsonrpc: '2.0', id: `signer-${++this.requestId}`, method, params });
+        if (response.error) throw new Error(response.error.message);
+
+        return response.result;
+    }
+
+    _request(payload) {
+        return new Promise((resolve, reject) => {
+            this.provider.send(payload, (error, response) => (error ? reject(error) : resolve(response)));
+        });
+    }
+
+    // the subscription notifications ('data' events) come from the current provider
+    _attach() {
+        const { provider } = this;
+        if (!provider || typeof provider.on !== 'function') return;
+
+        const count = this.attached.get(provider) || 0;
+        this.listeners.slice(count).forEach(([type, callback]) => provider.on(type, callback));
+        this.attached.set(provider, this.listeners.length);
+    }
+}
+
+module.exports = SignerProvider;
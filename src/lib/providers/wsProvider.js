@@ -1,16 +1,38 @@
 'use strict';
 const Events = require('events');
 const Web3 = require('web3');
+const { log } = require('../logger');
+
+const defaultReconnect = {
+    delay: 500, // the delay before the first attempt, ms
+    maxDelay: 30000,
+    factor: 2,
+    jitter: 0.5, // up to 50% of the delay is randomly subtracted
+    maxAttempts: Infinity,
+    timeout: 10000 // the time to wait for a connection to be established, ms
+};
+
+const defaultHeartbeat = {
+    interval: 30000, // 0 disables the heartbeat
+    timeout: 10000
+};
 
 class WsProvider {
     constructor(uri, options) {
         this.uri = uri;
         this.options = options || {};
-        this.provider = this.getProvider();
-        this.addListeners();
+        this.reconnectOptions = Object.assign({}, defaultReconnect, this.options.reconnect);
+        this.heartbeatOptions = Object.assign({}, defaultHeartbeat, this.options.heartbeat);
 
+        this.reset = this.reset.bind(this);
         this.emitter = new Events();
         this.connecting = false;
+        this.attempts = 0;
+        this.heartbeatId = 0;
+
+        this.provider = this.getProvider();
+        this.addListeners();
+        this.startHeartbeat();
     }
 
     getProvider() {
@@ -22,35 +44,115 @@ class WsProvider {
         this.provider.on('close', this.reset);
     }
 
-    reset() {
+    reset(error) {
         if(this.connecting) return;
+        log.error(`[${process.pid}] WebSocket - connection error "${this.uri}"`);
         this.connecting = true;
+        this.attempts = 0;
+        this.stopHeartbeat();
         this.provider.disconnect();
+        this.emitter.emit('disconnected', { uri: this.uri, error });
         this.awaitConnection();
     }
 
+    getDelay(attempt) {
+        const { delay, maxDelay, factor, jitter } = this.reconnectOptions;
+        const base = Math.min(maxDelay, delay * factor ** attempt);
+
+        return Math.round(base - base * jitter * Math.random());
+    }
+
     awaitConnection() {
-        const interval = setInterval(() => {
-            if(!this.connecting) {
-                clearInterval(interval);
-                return;
-            }
+        if (!this.connecting) return;
+
+        const { maxAttempts, timeout } = this.reconnectOptions;
+        if (this.attempts >= maxAttempts) {
+            log.error(`[${process.pid}] WebSocket - giving up on "${this.uri}" after ${this.attempts} attempts`);
+            this.connecting = false;
+            this.emitter.emit('giveUp', { uri: this.uri, attempts: this.attempts });
+            return;
+        }
+
+        const delay = this.getDelay(this.attempts);
+        this.attempts += 1;
+
+        const attempt = this.attempts;
+        log.info(`[${process.pid}] WebSocket - reconnecting to "${this.uri}" in ${delay} ms, attempt ${attempt}`);
+        this.emitter.emit('reconnecting', { uri: this.uri, attempt, delay });
+
+        this.timer = setTimeout(() => {
+            if (!this.connecting) return;
 
-            this.provider = this.getProvider();
+            let done = false;
+            const provider = this.getProvider();
 
-            this.provider.on('ready', () => {
-                clearInterval(interval);
+            const fail = () => {
+                if (done) return;
+                done = true;
+                clearTimeout(timer);
+                if (provider.disconnect) provider.disconnect();
+                this.awaitConnection();
+            };
+
+            const timer = setTimeout(fail, timeout);
+
+            provider.on('ready', () => {
+                if (done) return;
+                done = true;
+                clearTimeout(timer);
+                this.provider = provider;
                 this.onConnectionReady();
             });
-
-        }, 500);
+            provider.on('error', fail);
+            provider.on('close', fail);
+        }, delay);
     }
 
     onConnectionReady() {
         this.connecting = false;
+        this.attempts = 0;
+        log.info(`[${process.pid}] WebSocket - connected to "${this.uri}"`);
         this.addListeners();
+        this.startHeartbeat();
+        this.emitter.emit('connected', { uri: this.uri });
         this.emitter.emit('resetProvider', this.provider);
     }
+
+    // a half-open socket does not emit anything, so it's detected by a request that is never answered
+    startHeartbeat() {
+        const { interval, timeout } = this.heartbeatOptions;
+        if (!interval) return;
+
+        this.stopHeartbeat();
+        this.heartbeat = setInterval(() => {
+            if (this.heartbeatTimeout) return; // the previous request is still pending
+
+            const id = `heartbeat-${++this.heartbeatId}`;
+            this.heartbeatTimeout = setTimeout(() => {
+                this.heartbeatTimeout = null;
+                log.warn(`[${process.pid}] WebSocket - no heartbeat response from "${this.uri}" in ${timeout} ms`);
+                this.reset(new Error('Heartbeat timeout'));
+            }, timeout);
+
+            this.provider.send({ jsonrpc: '2.0', id, method: 'net_version', params: [] }, error => {
+                if (id !== `heartbeat-${this.heartbeatId}` || !this.heartbeatTimeout) return;
+
+                clearTimeout(this.heartbeatTimeout);
+                this.heartbeatTimeout = null;
+                if (error) this.reset(error);
+            });
+        }, interval);
+
+        // the heartbeat alone does not keep the process running
+        if (this.heartbeat.unref) this.heartbeat.unref();
+    }
+
+    stopHeartbeat() {
+        if (this.heartbeat) clearInterval(this.heartbeat);
+        if (this.heartbeatTimeout) clearTimeout(this.heartbeatTimeout);
+        this.heartbeat = null;
+        this.heartbeatTimeout = null;
+    }
 }
 
 module.exports = WsProvider;
@@ -0,0 +1,11 @@
+const Signer = require('./signer');
+const PrivateKeySigner = require('./privateKeySigner');
+const KeystoreSigner = require('./keystoreSigner');
+const RemoteSigner = require('./remoteSigner');
+
+module.exports = {
+    Signer,
+    PrivateKeySigner,
+    KeystoreSigner,
+    RemoteSigner
+};
@@ -0,0 +1,26 @@
+'use strict';
+const fs = require('fs');
+const Web3js = require('web3');
+const PrivateKeySigner = require('./privateKeySigner');
+const _ = require('lodash');
+
+// a keystore file is read, a JSON (an object or a string) is passed to web3 as is
+const readKeystore = keystore => {
+    if (_.isString(keystore) && !keystore.trim().startsWith('{')) return fs.readFileSync(keystore, 'utf8');
+    return keystore;
+};
+
+// keystore - an encrypted keystore v3 JSON or a path to the keystore file (or an array of them, sharing the password)
+class KeystoreSigner extends PrivateKeySigner {
+    constructor(keystore, password) {
+        if (!keystore || (_.isArray(keystore) && keystore.length === 0)) throw new Error('The keystore is not defined!');
+        if (!password) throw new Error('The keystore password is not defined!');
+
+        const { accounts } = new Web3js().eth;
+        const keystores = _.isArray(keystore) ? keystore : [keystore];
+
+        super(keystores.map(item => accounts.decrypt(readKeystore(item), password).privateKey));
+    }
+}
+
+module.exports = KeystoreSigner;
@@ -0,0 +1,54 @@
+'use strict';
+const Web3js = require('web3');
+const Signer = require('./signer');
+const { toChecksum } = require('../utils');
+const _ = require('lodash');
+
+// Signs with the raw private keys, the keys never leave the process
+class PrivateKeySigner extends Signer {
+    constructor(privateKeys) {
+        super();
+
+        const keys = _.isArray(privateKeys) ? privateKeys : [privateKeys];
+        if (keys.length === 0 || !keys.every(_.isString)) throw new Error('The private key is not defined!');
+
+        const { accounts } = new Web3js().eth;
+
+        // not enumerable, so the keys don't get to the logs and to JSON.stringify
+        Object.defineProperty(this, '_accounts', {
+            value: keys.map(key => accounts.privateKeyToAccount(key.startsWith('0x') ? key : `0x${key}`))
+        });
+
+        this.addresses = this._accounts.map(account => toChecksum(account.address));
+    }
+
+    async getAddresses() {
+        return this.addresses;
+    }
+
+    // web3 signs the legacy transactions only
+    get legacyOnly() {
+        return true;
+    }
+
+    async signTransaction(tx) {
+        if (tx.maxFeePerGas !== undefined || tx.maxPriorityFeePerGas !== undefined)
+            throw new Error(`${this.constructor.name} signs the legacy transactions only, the type-2 fees are not supported!`);
+
+        const { rawTransaction } = await this._getAccount(tx.from).signTransaction(tx);
+        return rawTransaction;
+    }
+
+    async sign(address, data) {
+        return this._getAccount(address).sign(data).signature;
+    }
+
+    _getAccount(address) {
+        const account = this._accounts.find(item => Boolean(address) && item.address.toLowerCase() === address.toLowerCase());
+        if (!account) throw new Error(`The ${address} account is not available to the signer!`);
+
+        return account;
+    }
+}
+
+module.exports = PrivateKeySigner;
@@ -0,0 +1,76 @@
+'use strict';
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+const Signer = require('./signer');
+const { toChecksum, encodeFees } = require('../utils');
+const _ = require('lodash');
+
+const defaults = {
+    timeout: 30000, // the time to wait for a response, ms
+    headers: {}
+};
+
+// An external signer speaking JSON-RPC (e.g. Clef or Web3Signer): eth_accounts, eth_signTransaction and eth_sign.
+// The keys are kept by the signer, only the transactions and the signatures are sent over the wire.
+class RemoteSigner extends Signer {
+    constructor(url, options) {
+        super();
+        if (!url) throw new Error('The remote signer URL is not defined!');
+
+        this.url = new URL(url);
+        this.options = Object.assign({}, defaults, options);
+        this.requestId = 0;
+    }
+
+    // the accounts are requested once
+    async getAddresses() {
+        if (!this.addresses) this.addresses = (await this.request('eth_accounts', [])).map(toChecksum);
+        return this.addresses;
+    }
+
+    // the signer may answer with the payload itself or with { raw, tx }, as geth does
+    async signTransaction(tx) {
+        const result = await this.request('eth_signTransaction', [encodeFees(tx)]);
+        return _.isString(result) ? result : result.raw;
+    }
+
+    sign(address, data) {
+        return this.request('eth_sign', [address, data]);
+    }
+
+    request(method, params) {
+        const { timeout, headers } = this.options;
+        const body = JSON.stringify({ jsonrpc: '2.0', id: ++this.requestId, method, params });
+        const transport = this.url.protocol === 'https:' ? https : http;
+
+        return new Promise((resolve, reject) => {
+            const request = transport.request(this.url, {
+                method: 'POST',
+                timeout,
+                headers: Object.assign({ 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) }, headers)
+            }, response => {
+                let data = '';
+                response.setEncoding('utf8');
+                response.on('data', chunk => (data += chunk));
+                response.on('end', () => {
+                    let message;
+                    try {
+                        message = JSON.parse(data);
+                    } catch (error) {
+                        return reject(new Error(`The remote signer has answered ${method} with ${response.statusCode}: ${data}`));
+                    }
+
+                    if (message.error) return reject(new Error(`The remote signer has rejected ${method}: ${message.error.message}`));
+                    resolve(message.result);
+                });
+            });
+
+            request.on('timeout', () => request.destroy(new Error(`The ${method} request to the remote signer timed out after ${timeout} ms`)));
+            request.on('error', reject);
+            request.end(body);
+        });
+    }
+}
+
+module.exports = RemoteSigner;
@@ -0,0 +1,27 @@
+'use strict';
+
+// The base class of the signers. A signer holds the accounts and signs on their behalf, the signing requests of web3
+// are routed to it by the SignerProvider (see ../providers/signerProvider). A custom signer implements the methods below.
+class Signer {
+    // a legacy-only signer gets the type-2 transactions converted to the legacy ones (see SignerProvider._toLegacy)
+    get legacyOnly() {
+        return false;
+    }
+
+    // resolves with the addresses of the accounts
+    async getAddresses() {
+        throw new Error(`${this.constructor.name} does not implement getAddresses!`);
+    }
+
+    // tx - { from, to, data, value, gas, nonce, chainId, gasPrice | maxFeePerGas, maxPriorityFeePerGas } -> the signed payload
+    async signTransaction() {
+        throw new Error(`${this.constructor.name} does not implement signTransaction!`);
+    }
+
+    // (address, data) -> the signature of the data prefixed with "\x19Ethereum Signed Message:\n" (see eth_sign)
+    async sign() {
+        throw new Error(`${this.constructor.name} does not implement sign!`);
+    }
+}
+
+module.exports = Signer;
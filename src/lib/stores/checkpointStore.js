@@ -0,0 +1,42 @@
+'use strict';
+const fs = require('fs');
+const path = require('path');
+
+// Keeps the last delivered block of each subscription in a JSON file - { id: { blockNumber, keys }, ... }
+class CheckpointStore {
+    constructor(filename) {
+        if (!filename) throw new Error('The store filename is not defined!');
+
+        this.filename = path.resolve(filename);
+        this.checkpoints = null;
+    }
+
+    getCheckpoint(id) {
+        return this._load()[id] || null;
+    }
+
+    saveCheckpoint(id, checkpoint) {
+        this._load()[id] = checkpoint;
+
+        const tmp = `${this.filename}.${process.pid}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(this.checkpoints));
+        fs.renameSync(tmp, this.filename);
+    }
+
+    _load() {
+        if (this.checkpoints) return this.checkpoints;
+
+        this.checkpoints = {};
+        if (!fs.existsSync(this.filename)) return this.checkpoints;
+
+        try {
+            this.checkpoints = JSON.parse(fs.readFileSync(this.filename, 'utf8'));
+        } catch (error) {
+            this.checkpoints = {};
+        }
+
+        return this.checkpoints;
+    }
+}
+
+module.exports = CheckpointStore;
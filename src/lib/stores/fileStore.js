@@ -0,0 +1,79 @@
+'use strict';
+const fs = require('fs');
+const path = require('path');
+
+// An append-only NDJSON log - one record per line, the latest record of a transaction wins
+class FileStore {
+    constructor(filename) {
+        if (!filename) throw new Error('The store filename is not defined!');
+
+        this.filename = path.resolve(filename);
+    }
+
+    load() {
+        const state = { tx: [], stat: null, nonceInUse: {} };
+        if (!fs.existsSync(this.filename)) return state;
+
+        const txs = new Map();
+        const lines = fs.readFileSync(this.filename, 'utf8').split('\n');
+
+        lines.forEach(line => {
+            const record = this._parse(line);
+            if (!record) return;
+
+            const { kind, data } = record;
+            if (kind === 'tx') txs.set(data.id, Object.assign(txs.get(data.id) || {}, data));
+            else if (kind === 'stat') state.stat = data;
+            else if (kind === 'nonce') {
+                const nonces = state.nonceInUse[data.address] || [];
+                if (!nonces.includes(data.nonce)) nonces.push(data.nonce);
+                state.nonceInUse[data.address] = nonces;
+            }
+        });
+
+        state.tx = [...txs.values()];
+        this._compact(state);
+
+        return state;
+    }
+
+    saveTx(txMeta) {
+        this._append('tx', txMeta);
+    }
+
+    saveStat(stat) {
+        this._append('stat', stat);
+    }
+
+    saveNonce(address, nonce) {
+        this._append('nonce', { address, nonce });
+    }
+
+    _parse(line) {
+        if (!line.trim()) return null;
+        try {
+            return JSON.parse(line);
+        } catch (error) {
+            return null; // a partially written line, e.g. the process was killed while writing
+        }
+    }
+
+    _append(kind, data) {
+        fs.appendFileSync(this.filename, JSON.stringify({ kind, data }) + '\n');
+    }
+
+    _compact({ tx, stat, nonceInUse }) {
+        const records = tx.map(data => ({ kind: 'tx', data }));
+        if (stat) records.push({ kind: 'stat', data: stat });
+
+        Object.keys(nonceInUse).forEach(address => {
+            nonceInUse[address].forEach(nonce => records.push({ kind: 'nonce', data: { address, nonce } }));
+        });
+
+        const tmp = this.filename + '.tmp';
+        fs.writeFileSync(tmp, records.map(record => JSON.stringify(record) + '\n').join(''));
+        fs.renameSync(tmp, this.filename);
+    }
+}
+
+module.exports = FileStore;
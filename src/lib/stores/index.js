@@ -0,0 +1,9 @@
+const MemoryStore = require('./memoryStore');
+const FileStore = require('./fileStore');
+const CheckpointStore = require('./checkpointStore');
+
+module.exports = {
+    MemoryStore,
+    FileStore,
+    CheckpointStore
+};
@@ -0,0 +1,16 @@
+'use strict';
+
+// The default store - keeps nothing, so the transaction manager starts from scratch every time
+class MemoryStore {
+    load() {
+        return { tx: [], stat: null, nonceInUse: {} };
+    }
+
+    saveTx() {}
+
+    saveStat() {}
+
+    saveNonce() {}
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,324 @@
+'use strict';
+const web3Utils = require('web3-utils');
+const bn = require('big-integer');
+const _ = require('lodash');
+
+const arrayPattern = /^(.*)\[(\d*)\]$/;
+const intPattern = /^(u?)int(\d*)$/;
+const bytesPattern = /^bytes(\d*)$/;
+
+// a tuple is formatted as its components, e.g. 'fill((address,uint256)[],bytes)'
+const formatType = input => {
+    if (!input.type.startsWith('tuple')) return input.type;
+    return `(${input.components.map(formatType).join(',')})${input.type.slice('tuple'.length)}`;
+};
+
+const getSignature = item => `${item.name}(${(item.inputs || []).map(formatType).join(',')})`;
+
+// method - a name or a full signature, e.g. 'safeTransferFrom(address,address,uint256)'
+const getAbiItems = (abi, method) => (abi || []).filter(item => item.type === 'function' &&
+    (method.includes('(') ? getSignature(item) === method : item.name === method));
+
+// whether the last of count arguments is a tuple, so a trailing plain object is an argument, not the options
+const isTupleArgument = (abi, method, count) => count > 0 &&
+    getAbiItems(abi, method).some(item => (item.inputs || []).length === count && item.inputs[count - 1].type === 'tuple');
+
+const isBigInt = value => Object.prototype.toString.call(value) === '[object BigInt]';
+
+const formatValue = value => {
+    if (isBigInt(value)) return `${value}n`;
+    if (value === undefined) return 'undefined';
+
+    const text = JSON.stringify(value);
+    return text && text.length > 70 ? `${text.slice(0, 67)}...` : text;
+};
+
+const fail = (reason, value) => {
+    const error = new Error(reason || `got ${formatValue(value)}`);
+    error.invalidValue = true;
+    throw error;
+};
+
+// numbers, decimal and hex strings, bigints and the BN/BigNumber instances -> big-integer
+const toBigInteger = value => {
+    if (typeof value === 'number') {
+        if (!Number.isSafeInteger(value)) fail(`got ${value} (unsafe integer, pass it as a string)`);
+        return bn(value);
+    }
+
+    if (isBigInt(value)) return bn(value.toString());
+    if (_.isObject(value) && _.isFunction(value.toString) && !_.isArray(value)) value = value.toString(10);
+
+    if (!_.isString(value)) fail(null, value);
+    if (/^-?\d+$/.test(value)) return bn(value);
+    if (/^-?0x[0-9a-f]+$/i.test(value)) {
+        const negative = value.startsWith('-');
+        const abs = bn(value.replace(/^-?0x/i, ''), 16);
+        return negative ? abs.negate() : abs;
+    }
+
+    return fail(null, value);
+};
+
+const coerceInt = (type, value) => {
+    const [, unsigned, size] = type.match(intPattern);
+    const bits = Number(size || 256);
+    const number = toBigInteger(value);
+
+    const min = unsigned ? bn.zero : bn(2).pow(bits - 1).negate();
+    const max = unsigned ? bn(2).pow(bits).prev() : bn(2).pow(bits - 1).prev();
+
+    if (number.lesser(min) || number.greater(max)) fail(`got ${formatValue(value)} (out of range ${min}..${max})`);
+
+    // web3 handles the numbers and strings by itself, the rest is converted to a decimal string
+    return typeof value === 'number' || _.isString(value) ? value : number.toString();
+};
+
+const coerceBytes = (type, value) => {
+    if (Buffer.isBuffer(value) || value instanceof Uint8Array) value = `0x${Buffer.from(value).toString('hex')}`;
+    if (!_.isString(value) || !/^0x([0-9a-f]{2})*$/i.test(value)) fail(`got ${formatValue(value)} (not a hex string)`);
+
+    const size = Number(type.match(bytesPattern)[1]);
+    const length = (value.length - 2) / 2;
+    if (size && length > size) fail(`got ${formatValue(value)} (${length} bytes)`);
+
+    return value;
+};
+
+const coerceAddress = value => {
+    if (!_.isString(value) || !web3Utils.isAddress(value.toLowerCase())) fail(null, value);
+    if (!web3Utils.isAddress(value)) fail(`got ${formatValue(value)} (invalid checksum)`);
+
+    return value;
+};
+
+const coerceArray = (input, value, path) => {
+    const [, type, size] = input.type.match(arrayPattern);
+
+    if (!_.isArray(value)) fail(null, value);
+    if (size && value.length !== Number(size)) fail(`got ${value.length} items`);
+
+    return value.map((item, index) => coerce(Object.assign({}, input, { type }), item, `${path}[${index}]`));
+};
+
+// a tuple is either an array of its components or an object keyed by the component names
+const coerceTuple = (input, value, path) => {
+    const { components } = input;
+
+    if (_.isArray(value)) {
+        if (value.length !== components.length) fail(`got ${value.length} items`);
+        return components.map((component, index) => coerce(component, value[index], `${path}.${component.name || index}`));
+    }
+
+    if (!_.isPlainObject(value)) fail(null, value);
+
+    return components.reduce((result, component, index) => {
+        const key = component.name || index;
+        result[key] = coerce(component, value[key], `${path}.${key}`);
+        return result;
+    }, {});
+};
+
+const coerceValue = (input, value, path) => {
+    const { type } = input;
+
+    if (arrayPattern.test(type)) return coerceArray(input, value, path);
+    if (type === 'tuple') return coerceTuple(input, value, path);
+    if (type === 'address') return coerceAddress(value);
+    if (intPattern.test(type)) return coerceInt(type, value);
+    if (bytesPattern.test(type)) return coerceBytes(type, value);
+    if (type === 'bool' && !_.isBoolean(value)) fail(null, value);
+    if (type === 'string' && !_.isString(value)) fail(null, value);
+
+    return value;
+};
+
+// the errors of the nested values are reported once, with the path of the innermost one
+const coerce = (input, value, path) => {
+    try {
+        return coerceValue(input, value, path);
+    } catch (error) {
+        if (!error.invalidValue) throw error;
+
+        const wrapped = new Error(`"${path}": expected ${formatType(input)}, ${error.message}`);
+        wrapped.invalidParam = true;
+        throw wrapped;
+    }
+};
+
+const coerceInputs = (signature, inputs, args) => {
+    try {
+        return inputs.map((input, index) => coerce(input, args[index], input.name || String(index)));
+    } catch (error) {
+        if (!error.invalidParam) throw error;
+        throw new Error(`Invalid argument of ${signature} - ${error.message}`);
+    }
+};
+
+const validateDeployArgs = (abi, args) => {
+    const [deployOptions, ...rest] = args;
+    if (!deployOptions || !deployOptions.arguments) return args;
+
+    const constructor = (abi || []).find(item => item.type === 'constructor') || { inputs: [] };
+    const inputs = constructor.inputs || [];
+    const signature = `constructor(${inputs.map(formatType).join(',')})`;
+
+    if (deployOptions.arguments.length !== inputs.length)
+        throw new Error(`${signature} expects ${inputs.length} argument(s), got ${deployOptions.arguments.length}`);
+
+    return [Object.assign({}, deployOptions, { arguments: coerceInputs(signature, inputs, deployOptions.arguments) })].concat(rest);
+};
+
+const tryInputs = (item, args) => {
+    try {
+        return { item, args: coerceInputs(getSignature(item), item.inputs || [], args) };
+    } catch (error) {
+        return { item, error };
+    }
+};
+
+// The overload is selected by the number of the arguments, then by their types.
+// Resolves with { item, args } - the ABI item and the arguments converted for it, or null if the method is not in the ABI.
+const selectAbiItem = (abi, method, args) => {
+    const items = getAbiItems(abi, method);
+    if (items.length === 0) return null;
+
+    const candidates = items.filter(item => (item.inputs || []).length === args.length);
+
+    if (candidates.length === 0) {
+        const expected = _.uniq(items.map(item => (item.inputs || []).length)).join(' or ');
+        throw new Error(`${items.map(getSignature).join(', ')} expects ${expected} argument(s), got ${args.length}`);
+    }
+
+    const results = candidates.map(item => tryInputs(item, args));
+    const fits = results.filter(result => !result.error);
+
+    if (fits.length === 1) return fits[0];
+    if (results.length === 1) throw results[0].error;
+
+    if (fits.length === 0)
+        throw new Error(`None of the ${method} overloads fits the arguments: ${results.map(result => result.error.message).join('; ')}`);
+
+    const signatures = fits.map(result => getSignature(result.item));
+    throw new Error(`The ${method} call is ambiguous, the arguments fit ${signatures.join(', ')}; ` +
+        `call it by the signature, e.g. obj['${signatures[0]}'](...)`);
+};
+
+// Checks the arguments against the ABI inputs and converts the values web3 can't encode (bigints, BN instances, buffers).
+// -> { method, args }; an overloaded method is resolved to the signature of the selected overload,
+// an unknown one is passed to web3 as is.
+const resolveMethod = (abi, method, args) => {
+    if (method === 'deploy') return { method, args: validateDeployArgs(abi, args) };
+
+    const selected = selectAbiItem(abi, method, args);
+    if (!selected) return { method, args };
+
+    const overloaded = getAbiItems(abi, selected.item.name).length > 1;
+    return { method: overloaded ? getSignature(selected.item) : method, args: selected.args };
+};
+
+const validateArgs = (abi, method, args) => resolveMethod(abi, method, args).args;
+
+const getEventItems = (abi, event) => (abi || []).filter(item => item.type === 'event' &&
+    (event.includes('(') ? getSignature(item) === event : item.name === event));
+
+// the name or the signature of an event -> the key web3 accepts in getPastEvents (a name or a topic)
+const resolveEvent = (abi, event) => {
+    if (!event || event === 'allEvents') return event;
+
+    const items = getEventItems(abi, event);
+    if (items.length > 1) {
+        throw new Error(`The ${event} event is overloaded: ${items.map(getSignature).join(', ')}; ` +
+            `use the signature, e.g. obj['on${getSignature(items[0])}'](...)`);
+    }
+
+    return items.length === 1 && event.includes('(') ? web3Utils.sha3(event) : event;
+};
+
+const ERROR_SELECTOR = '0x08c379a0'; // Error(string)
+const PANIC_SELECTOR = '0x4e487b71'; // Panic(uint256)
+
+// see https://docs.soliditylang.org/en/latest/control-structures.html#panic-via-assert-and-error-via-require
+const panicReasons = {
+    0x00: 'generic compiler panic',
+    0x01: 'assertion failed',
+    0x11: 'arithmetic overflow or underflow',
+    0x12: 'division or modulo by zero',
+    0x21: 'invalid enum value',
+    0x22: 'invalid storage byte array encoding',
+    0x31: 'pop() on an empty array',
+    0x32: 'array index out of bounds',
+    0x41: 'too much memory allocated',
+    0x51: 'zero-initialized internal function call'
+};
+
+const isHexData = value => _.isString(value) && /^0x([0-9a-f]{2})*$/i.test(value);
+
+// The nodes put the revert data into different places of a JSON-RPC error: error.data (geth),
+// error.data.data (hardhat, some wallets) or error.data[txHash].return (ganache)
+const findRevertData = (source, depth = 0) => {
+    if (isHexData(source)) return source;
+    if (!_.isObject(source) || depth > 3) return null;
+
+    const keys = ['data', 'return', 'error'].concat(Object.keys(source));
+    for (const key of _.uniq(keys)) {
+        if (key === 'stack' || !(key in source)) continue;
+
+        const data = findRevertData(source[key], depth + 1);
+        if (data) return data;
+    }
+
+    return null;
+};
+
+// coder - web3.eth.abi; resolves Error(string), Panic(uint256) and the custom errors of the ABI -> { name, args, reason }
+const decodeRevertData = (data, abi, coder) => {
+    if (!isHexData(data) || data.length < 10) return null;
+
+    const selector = data.slice(0, 10).toLowerCase();
+    const encoded = `0x${data.slice(10)}`;
+
+    if (selector === ERROR_SELECTOR) {
+        const reason = coder.decodeParameter('string', encoded);
+        return { name: 'Error', args: [reason], reason };
+    }
+
+    if (selector === PANIC_SELECTOR) {
+        const code = String(coder.decodeParameter('uint256', encoded));
+        const hex = `0x${Number(code).toString(16).padStart(2, '0')}`;
+        return { name: 'Panic', args: [code], reason: `Panic(${hex}): ${panicReasons[Number(code)] || 'unknown panic code'}` };
+    }
+
+    const item = (abi || []).find(entry => entry.type === 'error' && web3Utils.sha3(getSignature(entry)).slice(0, 10) === selector);
+    if (!item) return null;
+
+    const inputs = item.inputs || [];
+    const decoded = coder.decodeParameters(inputs, encoded);
+    const args = inputs.map((input, index) => decoded[index]);
+
+    return { name: item.name, args, reason: `${item.name}(${args.map(arg => (_.isObject(arg) ? formatValue(arg) : String(arg))).join(', ')})` };
+};
+
+// the same as web3 does - a single output is returned as is, several ones as an object
+const decodeOutputs = (coder, outputs, data) => {
+    if (outputs.length === 0) return null;
+
+    const result = coder.decodeParameters(outputs, data);
+    if (outputs.length === 1) return result[0];
+
+    delete result.__length__;
+    return result;
+};
+
+module.exports = {
+    getSignature,
+    getAbiItems,
+    isTupleArgument,
+    selectAbiItem,
+    resolveMethod,
+    validateArgs,
+    resolveEvent,
+    findRevertData,
+    decodeRevertData,
+    decodeOutputs
+};
@@ -0,0 +1,181 @@
+'use strict';
+const fs = require('fs');
+const path = require('path');
+const solc = require('solc');
+const _ = require('lodash');
+const CompilerCache = require('./compilerCache');
+const { getCompiler } = require('./solcVersions');
+const { returnValue } = require('./utils');
+
+// the unit name of a plain source string, kept for backward compatibility
+const defaultUnit = 'contract';
+
+const callbackPromisify = (func, instance, ...args) => {
+    return new Promise((resolve, reject) => {
+        func.apply(instance, [...args, (err, result) => {
+            err ? reject(err) : resolve(result);
+        }]);
+    });
+};
+
+const isSourcePath = source => typeof source === 'string' && !source.includes('\n') && /\.sol$/.test(source.trim());
+
+const toUnitName = (filename, basePath) => path.relative(basePath, filename).split(path.sep).join('/');
+
+const getSources = (source, basePath) => {
+    if (_.isPlainObject(source)) return _.mapValues(source, content => ({ content }));
+
+    if (isSourcePath(source)) {
+        const filename = path.resolve(basePath, source.trim());
+        return { [toUnitName(filename, basePath)]: { content: fs.readFileSync(filename, 'utf8') } };
+    }
+
+    return { [defaultUnit]: { content: source } };
+};
+
+// node_modules of the base path and all its parents, the same way as 'require' does
+const getLookupPaths = (basePath, includePaths) => {
+    const paths = [basePath].concat(includePaths.map(item => path.resolve(basePath, item)));
+
+    let dir = basePath;
+    for (;;) {
+        paths.push(path.join(dir, 'node_modules'));
+        const parent = path.dirname(dir);
+        if (parent === dir) break;
+        dir = parent;
+    }
+
+    return paths;
+};
+
+const getImportCallback = (basePath, includePaths) => {
+    const lookupPaths = getLookupPaths(basePath, includePaths);
+
+    return importPath => {
+        const filename = lookupPaths
+            .map(dir => path.join(dir, importPath))
+            .find(item => fs.existsSync(item) && fs.statSync(item).isFile());
+
+        if (!filename) return { error: `File not found: ${importPath}` };
+        return { contents: fs.readFileSync(filename, 'utf8') };
+    };
+};
+
+const getSettings = options => {
+    const { optimizer, runs, evmVersion, remappings, viaIR, settings } = options;
+
+    const result = {
+        outputSelection: {
+            '*': {
+                '*': ['*']
+            }
+        }
+    };
+
+    if (optimizer || runs) result.optimizer = Object.assign({ enabled: true, runs: runs || 200 }, optimizer);
+    if (evmVersion) result.evmVersion = evmVersion;
+    if (remappings) result.remappings = remappings;
+    if (viaIR) result.viaIR = true;
+
+    return _.merge(result, settings);
+};
+
+const toHex = bytecode => (bytecode ? '0x' + bytecode.object : undefined);
+
+const getArtifact = output => {
+    const evm = output.evm || {};
+    const { bytecode, deployedBytecode } = evm;
+
+    return {
+        abi: output.abi,
+        bytecode: toHex(bytecode),
+        deployedBytecode: toHex(deployedBytecode),
+        sourceMap: bytecode && bytecode.sourceMap,
+        deployedSourceMap: deployedBytecode && deployedBytecode.sourceMap,
+        linkReferences: bytecode && bytecode.linkReferences,
+        methodIdentifiers: evm.methodIdentifiers,
+        gasEstimates: evm.gasEstimates,
+        metadata: output.metadata,
+        storageLayout: output.storageLayout,
+        devdoc: output.devdoc,
+        userdoc: output.userdoc
+    };
+};
+
+const getArtifacts = contracts => {
+    const result = {};
+
+    Object.keys(contracts).forEach(file => {
+        Object.keys(contracts[file]).forEach(contract => {
+            const key = file === defaultUnit ? contract : `${file}:${contract}`;
+            result[key] = getArtifact(contracts[file][contract]);
+        });
+    });
+
+    return result;
+};
+
+const hasErrors = output => (output.errors || []).some(e => e.severity === 'error');
+
+const compileInput = (compiler, input, findImports, cacheDir) => {
+    if (!cacheDir) return compiler.compile(JSON.stringify(input), findImports);
+
+    const cache = new CompilerCache(cacheDir);
+    const version = compiler.version();
+
+    const cached = cache.get(version, input, findImports);
+    if (cached) return cached;
+
+    const imports = {};
+    const compiled = compiler.compile(JSON.stringify(input), importPath => {
+        const result = findImports(importPath);
+        if (result.contents !== undefined) imports[importPath] = result.contents;
+        return result;
+    });
+
+    if (!hasErrors(JSON.parse(compiled))) cache.set(version, input, imports, compiled);
+
+    return compiled;
+};
+
+exports.compile = async (source, options, callback) => {
+    if (_.isFunction(options)) {
+        callback = options;
+        options = {};
+    }
+
+    options = options || {};
+
+    const { specifiedVersion, ignoreWarning = false, includePaths = [] } = options;
+    const cacheDir = options.cacheDir || process.env.ETH_SCI_COMPILER_CACHE;
+    const compilersDir = options.compilersDir || process.env.ETH_SCI_COMPILERS_DIR;
+    const basePath = path.resolve(options.basePath || process.cwd());
+
+    const input = {
+        language: 'Solidity',
+        sources: getSources(source, basePath),
+        settings: getSettings(options)
+    };
+    const findImports = getImportCallback(basePath, includePaths);
+
+    let compiler = solc;
+    if (compilersDir) {
+        try {
+            compiler = getCompiler({ compilersDir, specifiedVersion, sources: input.sources, findImports });
+        } catch (error) {
+            return returnValue(error.message, null, callback);
+        }
+    } else if (specifiedVersion) {
+        compiler = await callbackPromisify(solc.loadRemoteVersion, solc, specifiedVersion);
+    }
+
+    const compiled = await compileInput(compiler, input, findImports, cacheDir);
+    const { errors, contracts } = JSON.parse(compiled);
+
+    const failures = (errors || []).filter(e => !(ignoreWarning && e.type === 'Warning'));
+    if (failures.length > 0) {
+        return returnValue('\n' + failures.map(e => e.formattedMessage + '\n'), null, callback);
+    }
+
+    return returnValue(null, getArtifacts(contracts || {}), callback);
+};
@@ -0,0 +1,63 @@
+'use strict';
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+
+// An entry is keyed by the compiler version and the input (sources and settings).
+// The imports are read from disk during the compilation, so their hashes are kept in the entry and checked on each hit.
+class CompilerCache {
+    constructor(dir) {
+        if (!dir) throw new Error('The cache directory is not defined!');
+
+        this.dir = path.resolve(dir);
+    }
+
+    getKey(version, input) {
+        return sha256(JSON.stringify({ version, input }));
+    }
+
+    get(version, input, findImports) {
+        const filename = this._getFilename(this.getKey(version, input));
+        if (!fs.existsSync(filename)) return null;
+
+        let entry;
+        try {
+            entry = JSON.parse(fs.readFileSync(filename, 'utf8'));
+        } catch (error) {
+            return null;
+        }
+
+        const isValid = Object.keys(entry.imports).every(importPath => {
+            const { contents } = findImports(importPath);
+            return contents !== undefined && sha256(contents) === entry.imports[importPath];
+        });
+
+        return isValid ? entry.output : null;
+    }
+
+    set(version, input, imports, output) {
+        const entry = {
+            version,
+            imports: Object.keys(imports).reduce((acc, importPath) => {
+                acc[importPath] = sha256(imports[importPath]);
+                return acc;
+            }, {}),
+            output
+        };
+
+        fs.mkdirSync(this.dir, { recursive: true });
+
+        const filename = this._getFilename(this.getKey(version, input));
+        const tmp = `${filename}.${process.pid}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(entry));
+        fs.renameSync(tmp, filename);
+    }
+
+    _getFilename(key) {
+        return path.join(this.dir, `${key}.json`);
+    }
+}
+
+module.exports = CompilerCache;
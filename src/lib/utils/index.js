@@ -1,3 +1,5 @@
 const utils = require('./utils');
+const compiler = require('./compiler');
+const abi = require('./abi');
 
-module.exports = utils;
+module.exports = Object.assign({}, utils, compiler, abi);
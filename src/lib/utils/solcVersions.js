@@ -0,0 +1,111 @@
+'use strict';
+const fs = require('fs');
+const path = require('path');
+const semver = require('semver');
+const solc = require('solc');
+const setupMethods = require('solc-wrapper/wrapper');
+
+const loaded = new Map();
+
+const importRegExp = /import\s+(?:[^'";]*?\s+from\s+)?["']([^"']+)["']/g;
+const pragmaRegExp = /pragma\s+solidity\s+([^;]+);/g;
+
+const matchAll = (regExp, text) => {
+    const result = [];
+    let match;
+    regExp.lastIndex = 0;
+    while ((match = regExp.exec(text)) !== null) result.push(match[1].trim());
+    return result;
+};
+
+const stripComments = text => text.replace(/\/\*[\s\S]*?\*\//g, '').replace(/\/\/.*$/gm, '');
+
+// soljson-v0.5.5+commit.47a71e8f.js -> { version: '0.5.5', filename }, nightly builds are skipped
+const getLocalVersions = dir => {
+    if (!dir || !fs.existsSync(dir)) return [];
+
+    return fs.readdirSync(dir)
+        .map(file => {
+            const match = file.match(/^soljson-v?(.+)\.js$/);
+            const version = match && semver.valid(match[1]);
+            if (!version || semver.prerelease(version)) return null;
+            return { version, filename: path.join(dir, file) };
+        })
+        .filter(Boolean);
+};
+
+const getBundledVersion = () => semver.clean(solc.version().split('+')[0]);
+
+// the pragmas of the sources and all the files they import
+const getPragmas = (sources, findImports) => {
+    const pragmas = {};
+    const queue = Object.keys(sources).map(unit => [unit, sources[unit].content]);
+    const visited = new Set(queue.map(([unit]) => unit));
+
+    while (queue.length > 0) {
+        const [unit, content] = queue.shift();
+        const text = stripComments(content || '');
+
+        const ranges = matchAll(pragmaRegExp, text);
+        if (ranges.length > 0) pragmas[unit] = ranges;
+
+        matchAll(importRegExp, text).forEach(importPath => {
+            const resolved = importPath.startsWith('.') ? path.posix.join(path.posix.dirname(unit), importPath) : importPath;
+            if (visited.has(resolved)) return;
+            visited.add(resolved);
+
+            const source = sources[resolved] ? { contents: sources[resolved].content } : findImports(resolved);
+            if (source.contents !== undefined) queue.push([resolved, source.contents]);
+        });
+    }
+
+    return pragmas;
+};
+
+// The wrapper of the bundled solc knows the pre-0.6 import callback ABI only, so the local builds are driven
+// by a recent one that handles both of them. It takes the import callback as { import: findImports }.
+const load = filename => {
+    if (!loaded.has(filename)) {
+        const compiler = setupMethods(require(filename));
+        loaded.set(filename, Object.assign({}, compiler, {
+            compile: (input, findImports) => compiler.compile(input, findImports ? { import: findImports } : undefined)
+        }));
+    }
+
+    return loaded.get(filename);
+};
+
+const getAvailable = compilersDir => {
+    const bundled = { version: getBundledVersion(), compiler: solc };
+    const local = getLocalVersions(compilersDir).filter(item => item.version !== bundled.version);
+
+    return [bundled].concat(local).sort((a, b) => semver.rcompare(a.version, b.version));
+};
+
+const getCompiler = ({ compilersDir, specifiedVersion, sources, findImports }) => {
+    const available = getAvailable(compilersDir);
+    const versions = available.map(item => item.version);
+
+    let ranges, description;
+    if (specifiedVersion) {
+        ranges = [semver.clean(specifiedVersion.split('+')[0]) || specifiedVersion];
+        description = `"${specifiedVersion}"`;
+    } else {
+        const pragmas = getPragmas(sources, findImports);
+        ranges = [].concat(...Object.values(pragmas));
+        description = Object.keys(pragmas).map(unit => `"${pragmas[unit].join(' ')}" (${unit})`).join(', ');
+    }
+
+    const match = available.find(item => ranges.every(range => semver.satisfies(item.version, range)));
+
+    if (!match)
+        throw new Error(`There is no compiler that satisfies ${description}. Available versions:\n${JSON.stringify(versions)}`);
+
+    return match.compiler || load(match.filename);
+};
+
+module.exports = {
+    getCompiler,
+    getPragmas,
+    getLocalVersions
+};
@@ -1,53 +1,7 @@
 'use strict';
-let solc = require('solc');
 const utils = require('web3-utils');
 const bn = require('big-integer');
 const _ = require('lodash');
-const { compose, filter, get } = require('lodash/fp');
-
-const callbackPromisify = (func, instance, ...args) => {
-    return new Promise((resolve, reject) => {
-        func.apply(instance, [...args, (err, result) => {
-            err ? reject(err) : resolve(result)
-        }])
-    })
-}
-exports.compile = async (source, { specifiedVersion, ignoreWarning = false }, callback) => {
-    const input = {
-        language: 'Solidity',
-        sources: {
-            contract: {
-                content: source
-            }
-        },
-        settings: {
-            outputSelection: {
-                '*': {
-                    '*': ['*']
-                }
-            }
-        }
-    };
-    if (specifiedVersion) {
-        solc = await callbackPromisify(solc.loadRemoteVersion, solc, specifiedVersion)
-    }
-    const compiled = await solc.compile(JSON.stringify(input));
-    const { errors, contracts } = JSON.parse(compiled);
-    const getWarningLen = compose(get('length'), filter(['type', 'Warning']))
-    const isWarningIgnored = !(ignoreWarning && getWarningLen(errors))
-    if (isWarningIgnored && errors && errors.length > 0) {
-        return returnValue('\n' + errors.map(e => e.formattedMessage + '\n'), null, callback);
-    }
-
-    const result = {};
-    Object.keys(contracts.contract).forEach(contract => {
-        const path = contracts.contract[contract];
-        const bytecode = path['evm']['bytecode']['object'];
-        result[contract] = { abi: path.abi, bytecode: '0x' + bytecode };
-    });
-
-    return returnValue(null, result, callback);
-};
 
 const returnValue = (err, result, defer, callback) => {
     const args = [err, result, defer, callback];
@@ -141,6 +95,10 @@ exports.fromWei = fromWei;
 
 exports.isAddress = address => utils.isAddress(address.toLowerCase());
 
+// web3 hex-encodes the legacy fields of a transaction only, the nodes reject the type-2 fees sent as JSON numbers
+exports.encodeFees = tx => _.mapValues(tx, (value, key) =>
+    (['maxFeePerGas', 'maxPriorityFeePerGas'].includes(key) && !_.isNil(value) ? utils.numberToHex(value) : value));
+
 exports.toToken = (value, decimals) => {
     if (decimals === 18) return fromWei(value);
 
@@ -149,6 +107,17 @@ exports.toToken = (value, decimals) => {
     return fromWei(asIf18);
 };
 
+// '12.5' -> '12500000' (decimals = 6)
+exports.fromToken = (amount, decimals) => {
+    const value = amount.toString().trim();
+    if (!/^\d+(\.\d+)?$/.test(value)) throw new Error(`Invalid token amount: ${amount}`);
+
+    const [whole, fraction = ''] = value.split('.');
+    if (fraction.length > decimals) throw new Error(`The amount ${amount} has more than ${decimals} decimal places`);
+
+    return bn(whole + fraction.padEnd(decimals, '0')).toString(10);
+};
+
 exports._to = promise => promise.then(data => [null, data]).catch(error => [error, null]);
 
 exports.sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
@@ -34,20 +34,137 @@ declare interface TokenInfo {
     totalSupply: string | number
 }
 
+declare interface FeeData {
+    baseFeePerGas: number,
+    maxFeePerGas: number,
+    maxPriorityFeePerGas: number
+}
+
+declare interface SubscriptionOptions {
+    filter?: object,
+    fromBlock?: number | string,
+    topics?: string[],
+    confirmations?: number,
+    onRemoved?: (event: EventLog) => void,
+    checkpointStore?: CheckpointStore,
+    checkpointId?: string
+}
+
+declare interface CheckpointStore {
+    getCheckpoint(id: string): { blockNumber: number, keys: string[] } | null | Promise<{ blockNumber: number, keys: string[] } | null>;
+    saveCheckpoint(id: string, checkpoint: { blockNumber: number, keys: string[] }): void | Promise<void>;
+}
+
+declare interface Subscription {
+    event: string;
+    subscribe(): void;
+    unsubscribe(): void;
+    on(event: 'removed', listener: (event: EventLog) => void): this;
+}
+
+declare interface EventQueryOptions {
+    fromBlock?: number | string,
+    toBlock?: number | string,
+    filter?: object,
+    topics?: string[],
+    chunkSize?: number
+}
+
+declare interface ProviderOptions {
+    reconnect?: {
+        delay?: number,
+        factor?: number,
+        maxDelay?: number,
+        jitter?: number,
+        maxAttempts?: number,
+        timeout?: number
+    },
+    heartbeat?: {
+        interval?: number,
+        timeout?: number
+    },
+    failover?: {
+        timeout?: number,
+        healthCheckInterval?: number
+    },
+    [key: string]: any
+}
+
+declare interface BatchOptions {
+    multicallAddress?: string | null,
+    blockNumber?: number | string,
+    from?: string,
+    chunkSize?: number
+}
+
+declare interface BatchResult {
+    success: boolean,
+    result?: any,
+    error?: Error
+}
+
+declare interface Batch {
+    add(target: Interface, method: string, ...args: any[]): Batch;
+    execute(): Promise<BatchResult[]>;
+}
+
+export declare namespace signers {
+    class Signer {
+        readonly legacyOnly: boolean;
+        getAddresses(): Promise<string[]>;
+        signTransaction(tx: object): Promise<string>;
+        sign(address: string, data: string): Promise<string>;
+    }
+
+    class PrivateKeySigner extends Signer {
+        constructor(privateKeys: string | string[]);
+        readonly addresses: string[];
+    }
+
+    class KeystoreSigner extends PrivateKeySigner {
+        constructor(keystore: string | object | Array<string | object>, password: string);
+    }
+
+    class RemoteSigner extends Signer {
+        constructor(url: string, options?: { headers?: { [name: string]: string }, timeout?: number });
+    }
+}
+
 export declare class Web3 {
-    constructor(nodeAddress: string, authKey: string | string[])
+    constructor(nodeAddress: string | string[], authKey?: string | string[] | signers.Signer, options?: ProviderOptions)
+    readonly activeEndpoint: string;
+    readonly signer: signers.Signer | null;
 }
 
 declare class Interface {
-    constructor(nodeAddress: string, contractAddress?: string, authKey?: string | string[], web3Instance?: new () => Web3js.default, abi?: ABIDefinition, bytecode?: string);
+    constructor(nodeAddress: string | string[], contractAddress?: string, authKey?: string | string[] | signers.Signer, web3Instance?: new () => Web3js.default, abi?: ABIDefinition, bytecode?: string);
     wallet: string | number;
     gasPrice: number;
+    maxFeePerGas: number;
+    maxPriorityFeePerGas: number;
+    gasLimit: string | number;
+    gasEstimation: boolean | { multiplier?: number, cap?: number };
+    feeMarket: boolean;
     init(): void;
+    getFeeData(): Promise<FeeData | null>;
+    getEvents(event: string, options?: EventQueryOptions): Promise<EventLog[]>;
+    iterateEvents(event: string, options?: EventQueryOptions): AsyncIterableIterator<EventLog>;
+    batch(options?: BatchOptions): Batch;
+    multicall(calls: any[][], options?: BatchOptions): Promise<BatchResult[]>;
+    simulate(method: string, ...args: any[]): Promise<BatchResult>;
+    sendEther(to: string, amount: string | number, ...args: any[]): Promise<object>;
+    sendRaw(to: string, data: string, ...args: any[]): Promise<object>;
+    broadcast(raw: string | object, callback?: (err: Error, receipt: object) => void): Promise<object>;
     abi: ABIDefinition;
 }
 
+export declare class Wallet extends Interface {
+    constructor(nodeAddress: string | string[], authKey?: string | string[] | signers.Signer, web3Instance?: new () => Web3js.default);
+    static web3(web3Instance: new () => Web3js.default): Wallet;
+}
+
 export declare class ERC20 extends Interface {
-    constructor(nodeAddress: string, contractAddress?: string, authKey?: string | string[], web3Instance?: new () => Web3js.default, abi?: ABIDefinition, bytecode?: string);
+    constructor(nodeAddress: string | string[], contractAddress?: string, authKey?: string | string[] | signers.Signer, web3Instance?: new () => Web3js.default, abi?: ABIDefinition, bytecode?: string);
     static web3(web3Instance: new () => Web3js.default, contractAddress: string, abi: ABIDefinition, bytecode?: string): ERC20;
 
     info: {
@@ -59,8 +176,8 @@ export declare class ERC20 extends Interface {
     };
 
     name(callback?: Callback<string>): string;
-    symbol(callback?: Callback<string>): string;
-    decimals(callback?: Callback<number>): number;
+    symbol(callback?: Callback<string>): Promise<string>;
+    decimals(callback?: Callback<number>): Promise<number>;
     totalSupply(callback?: Callback<string>): string;
     balanceOf(holder: string, callback?: Callback<string>): string;
     cap(callback?: Callback<string>): string;
@@ -70,11 +187,85 @@ export declare class ERC20 extends Interface {
     mint(to: string | number, amount: string | number, callback?: Callback<void>): void;
     approve(spender: string, value: string | number, callback?: Callback<void>): void;
     allowance(owner: string, spender: string): string;
+    balanceOfFormatted(holder: string, callback?: Callback<string>): Promise<string>;
+    transferAmount(to: string, amount: string | number, options?: object): Promise<any>;
+    approveAmount(spender: string, amount: string | number, options?: object): Promise<any>;
+    setAllowance(spender: string, amount: string | number, options?: object, callback?: Callback<any[]>): Promise<any[]>;
     tokenInfo(callback?: Callback<TokenInfo>): TokenInfo;
-    onTransfer(callback: Callback<EventLog>): EventLog;
-    onApproval(callback: Callback<EventLog>): EventLog;
-    onMint(callback: Callback<EventLog>): EventLog;
-    onBurn(callback: Callback<EventLog>): EventLog;
-    onPause(callback: Callback<EventLog>): EventLog;
-    onUnpause(callback: Callback<EventLog>): EventLog;
+    onTransfer(options: SubscriptionOptions, callback: Callback<EventLog>): Subscription;
+    onTransfer(callback: Callback<EventLog>): Subscription;
+    onApproval(options: SubscriptionOptions, callback: Callback<EventLog>): Subscription;
+    onApproval(callback: Callback<EventLog>): Subscription;
+    onMint(options: SubscriptionOptions, callback: Callback<EventLog>): Subscription;
+    onMint(callback: Callback<EventLog>): Subscription;
+    onBurn(options: SubscriptionOptions, callback: Callback<EventLog>): Subscription;
+    onBurn(callback: Callback<EventLog>): Subscription;
+    onPause(options: SubscriptionOptions, callback: Callback<EventLog>): Subscription;
+    onPause(callback: Callback<EventLog>): Subscription;
+    onUnpause(options: SubscriptionOptions, callback: Callback<EventLog>): Subscription;
+    onUnpause(callback: Callback<EventLog>): Subscription;
+}
+
+export declare class ERC721 extends Interface {
+    constructor(nodeAddress: string | string[], contractAddress?: string, authKey?: string | string[] | signers.Signer, web3Instance?: new () => Web3js.default, abi?: ABIDefinition, bytecode?: string);
+
+    name(callback?: Callback<string>): string;
+    symbol(callback?: Callback<string>): string;
+    tokenURI(tokenId: string | number, callback?: Callback<string>): string;
+    balanceOf(owner: string, callback?: Callback<string>): string;
+    ownerOf(tokenId: string | number, callback?: Callback<string>): string;
+    getApproved(tokenId: string | number, callback?: Callback<string>): string;
+    isApprovedForAll(owner: string, operator: string, callback?: Callback<boolean>): boolean;
+    approve(to: string, tokenId: string | number, callback?: Callback<void>): void;
+    setApprovalForAll(operator: string, approved: boolean, callback?: Callback<void>): void;
+    transferFrom(from: string, to: string, tokenId: string | number, callback?: Callback<void>): void;
+    safeTransferFrom(from: string, to: string, tokenId: string | number, data?: string, callback?: Callback<void>): void;
+    isOwner(tokenId: string | number, address?: string, callback?: Callback<boolean>): Promise<boolean>;
+    isApprovedOrOwner(spender: string, tokenId: string | number, callback?: Callback<boolean>): Promise<boolean>;
+    isEnumerable(): Promise<boolean>;
+    tokensOfOwner(owner: string, options?: { fromBlock?: number | string, toBlock?: number | string, chunkSize?: number }, callback?: Callback<string[]>): Promise<string[]>;
+    onTransfer(options: SubscriptionOptions, callback: Callback<EventLog>): Subscription;
+    onTransfer(callback: Callback<EventLog>): Subscription;
+    onApproval(options: SubscriptionOptions, callback: Callback<EventLog>): Subscription;
+    onApproval(callback: Callback<EventLog>): Subscription;
+    onApprovalForAll(options: SubscriptionOptions, callback: Callback<EventLog>): Subscription;
+    onApprovalForAll(callback: Callback<EventLog>): Subscription;
+}
+
+declare interface ERC1155Transfer {
+    operator: string;
+    from: string;
+    to: string;
+    id: string;
+    value: string;
+    batchIndex: number;
+    event: 'TransferSingle' | 'TransferBatch';
+    transactionHash: string;
+    blockNumber: number;
+    logIndex: number;
+    removed: boolean;
+}
+
+export declare class ERC1155 extends Interface {
+    constructor(nodeAddress: string | string[], contractAddress?: string, authKey?: string | string[] | signers.Signer, web3Instance?: new () => Web3js.default, abi?: ABIDefinition, bytecode?: string);
+
+    uri(id: string | number, callback?: Callback<string>): string;
+    balanceOf(account: string, id: string | number, callback?: Callback<string>): string;
+    balanceOfBatch(accounts: string[], ids: Array<string | number>, callback?: Callback<string[]>): string[];
+    isApprovedForAll(account: string, operator: string, callback?: Callback<boolean>): boolean;
+    setApprovalForAll(operator: string, approved: boolean, callback?: Callback<void>): void;
+    safeTransferFrom(from: string, to: string, id: string | number, amount: string | number, data?: string, callback?: Callback<void>): void;
+    safeBatchTransferFrom(from: string, to: string, ids: Array<string | number>, amounts: Array<string | number>, data?: string, callback?: Callback<void>): void;
+    balancesOf(account: string, ids: Array<string | number>, callback?: Callback<{ [id: string]: string }>): Promise<{ [id: string]: string }>;
+    approveOperator(operator: string, callback?: Callback<void>): void;
+    revokeOperator(operator: string, callback?: Callback<void>): void;
+    isOperator(operator: string, account?: string, callback?: Callback<boolean>): Promise<boolean>;
+    tokenURI(id: string | number, callback?: Callback<string>): Promise<string>;
+    getTransfers(options?: EventQueryOptions, callback?: Callback<ERC1155Transfer[]>): Promise<ERC1155Transfer[]>;
+    onTransfer(options: SubscriptionOptions, callback: Callback<ERC1155Transfer>): { subscriptions: Subscription[], unsubscribe(): void };
+    onTransfer(callback: Callback<ERC1155Transfer>): { subscriptions: Subscription[], unsubscribe(): void };
+    onApprovalForAll(options: SubscriptionOptions, callback: Callback<EventLog>): Subscription;
+    onApprovalForAll(callback: Callback<EventLog>): Subscription;
+    onURI(options: SubscriptionOptions, callback: Callback<EventLog>): Subscription;
+    onURI(callback: Callback<EventLog>): Subscription;
 }
@@ -0,0 +1,180 @@
+const { validateArgs, resolveMethod, resolveEvent, getSignature, isTupleArgument, findRevertData, decodeRevertData } = require('../../src/lib/utils/abi');
+
+describe('ABI utils unit tests', () => {
+    const address = '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed';
+
+    const abi = [
+        { type: 'constructor', inputs: [{ name: 'cap', type: 'uint256' }] },
+        {
+            type: 'function',
+            name: 'transfer',
+            inputs: [{ name: 'to', type: 'address' }, { name: 'amount', type: 'uint256' }]
+        },
+        {
+            type: 'function',
+            name: 'setLimits',
+            inputs: [{ name: 'delta', type: 'int8' }, { name: 'ids', type: 'uint16[2]' }, { name: 'tag', type: 'bytes4' }]
+        },
+        {
+            type: 'function',
+            name: 'fill',
+            inputs: [
+                {
+                    name: 'orders',
+                    type: 'tuple[]',
+                    components: [{ name: 'maker', type: 'address' }, { name: 'amount', type: 'uint96' }]
+                },
+                { name: 'data', type: 'bytes' }
+            ]
+        },
+        { type: 'function', name: 'pause', inputs: [{ name: 'paused', type: 'bool' }] },
+        { type: 'function', name: 'pause', inputs: [] }
+    ];
+
+    it('formats the signatures, including the tuples', () => {
+        expect(getSignature(abi[3])).toBe('fill((address,uint96)[],bytes)');
+        expect(isTupleArgument(abi, 'pause', 0)).toBe(false);
+        expect(isTupleArgument(abi, 'transfer', 2)).toBe(false);
+        expect(isTupleArgument([{ type: 'function', name: 'fill', inputs: [{ type: 'tuple', components: [] }] }], 'fill', 1)).toBe(true);
+    });
+
+    it('passes the valid arguments as is', () => {
+        expect(validateArgs(abi, 'transfer', [address.toLowerCase(), '1000'])).toEqual([address.toLowerCase(), '1000']);
+        expect(validateArgs(abi, 'setLimits', [-128, ['0xff', 65535], '0x0102'])).toEqual([-128, ['0xff', 65535], '0x0102']);
+        expect(validateArgs(abi, 'unknown', [1, 2])).toEqual([1, 2]);
+    });
+
+    it('converts the values web3 can not encode', () => {
+        const bigNumber = { toString: () => '12' };
+
+        expect(validateArgs(abi, 'transfer', [address, 10n ** 30n])).toEqual([address, '1000000000000000000000000000000']);
+        expect(validateArgs(abi, 'transfer', [address, bigNumber])).toEqual([address, '12']);
+        expect(validateArgs(abi, 'fill', [[{ maker: address, amount: 1 }], Buffer.from([1, 2])]))
+            .toEqual([[{ maker: address, amount: 1 }], '0x0102']);
+    });
+
+    it('throws if the number of arguments is wrong', () => {
+        expect(() => validateArgs(abi, 'transfer', [address]))
+            .toThrow('transfer(address,uint256) expects 2 argument(s), got 1');
+        expect(() => validateArgs(abi, 'pause', [true, 1]))
+            .toThrow('pause(bool), pause() expects 1 or 0 argument(s), got 2');
+    });
+
+    it('names the method, the parameter and the expected type', () => {
+        expect(() => validateArgs(abi, 'transfer', ['0x123', 1]))
+            .toThrow('Invalid argument of transfer(address,uint256) - "to": expected address, got "0x123"');
+        expect(() => validateArgs(abi, 'transfer', [address.replace('a', 'A'), 1]))
+            .toThrow('"to": expected address, got "0x5AAeb6053F3E94C9b9A09f33669435E7Ef1BeAed" (invalid checksum)');
+        expect(() => validateArgs(abi, 'transfer', [address, -1]))
+            .toThrow('"amount": expected uint256, got -1 (out of range 0..');
+        expect(() => validateArgs(abi, 'transfer', [address, 1.5]))
+            .toThrow('"amount": expected uint256, got 1.5 (unsafe integer, pass it as a string)');
+        expect(() => validateArgs(abi, 'pause', ['yes'])).toThrow('"paused": expected bool, got "yes"');
+    });
+
+    it('checks the integer bounds, the fixed arrays and the bytes length', () => {
+        expect(() => validateArgs(abi, 'setLimits', [128, [1, 2], '0x01'])).toThrow('"delta": expected int8, got 128 (out of range -128..127)');
+        expect(() => validateArgs(abi, 'setLimits', [1, [1], '0x01'])).toThrow('"ids": expected uint16[2], got 1 items');
+        expect(() => validateArgs(abi, 'setLimits', [1, [1, 65536], '0x01'])).toThrow('"ids[1]": expected uint16, got 65536');
+        expect(() => validateArgs(abi, 'setLimits', [1, [1, 2], '0x0102030405'])).toThrow('"tag": expected bytes4, got "0x0102030405" (5 bytes)');
+    });
+
+    it('reports the path of a nested value', () => {
+        expect(() => validateArgs(abi, 'fill', [[[address, 1], { maker: address }], '0x']))
+            .toThrow('Invalid argument of fill((address,uint96)[],bytes) - "orders[1].amount": expected uint96, got undefined');
+    });
+
+    it('validates the constructor arguments', () => {
+        const deployOptions = { data: '0x00', arguments: [5n] };
+
+        expect(validateArgs(abi, 'deploy', [deployOptions])).toEqual([{ data: '0x00', arguments: ['5'] }]);
+        expect(() => validateArgs(abi, 'deploy', [{ data: '0x00', arguments: [] }]))
+            .toThrow('constructor(uint256) expects 1 argument(s), got 0');
+    });
+
+    describe('overloads', () => {
+        const overloads = [
+            { type: 'function', name: 'set', inputs: [{ name: 'value', type: 'uint256' }] },
+            { type: 'function', name: 'set', inputs: [{ name: 'value', type: 'string' }] },
+            { type: 'function', name: 'set', inputs: [{ name: 'key', type: 'bytes32' }, { name: 'value', type: 'bool' }] },
+            { type: 'event', name: 'Set', inputs: [{ name: 'value', type: 'uint256' }] },
+            { type: 'event', name: 'Set', inputs: [{ name: 'value', type: 'string' }] },
+            { type: 'event', name: 'Reset', inputs: [] }
+        ];
+
+        it('selects the overload by the number and the types of the arguments', () => {
+            expect(resolveMethod(overloads, 'set', [5])).toEqual({ method: 'set(uint256)', args: [5] });
+            expect(resolveMethod(overloads, 'set', ['abc'])).toEqual({ method: 'set(string)', args: ['abc'] });
+            expect(resolveMethod(overloads, 'set', ['0x01', true])).toEqual({ method: 'set(bytes32,bool)', args: ['0x01', true] });
+            expect(resolveMethod(abi, 'transfer', [address, 1])).toEqual({ method: 'transfer', args: [address, 1] });
+        });
+
+        it('accepts the signatures', () => {
+            expect(resolveMethod(overloads, 'set(string)', ['5'])).toEqual({ method: 'set(string)', args: ['5'] });
+            expect(() => resolveMethod(overloads, 'set(uint256)', ['abc'])).toThrow('Invalid argument of set(uint256) - "value": expected uint256');
+        });
+
+        it('throws if the call is ambiguous', () => {
+            expect(() => resolveMethod(overloads, 'set', ['5']))
+                .toThrow('The set call is ambiguous, the arguments fit set(uint256), set(string); call it by the signature, e.g. obj[\'set(uint256)\'](...)');
+        });
+
+        it('throws if none of the overloads fits', () => {
+            expect(() => resolveMethod(overloads, 'set', [true]))
+                .toThrow('None of the set overloads fits the arguments: Invalid argument of set(uint256) - "value": expected uint256, got true; ' +
+                    'Invalid argument of set(string) - "value": expected string, got true');
+        });
+
+        it('resolves the events', () => {
+            expect(resolveEvent(overloads, 'Reset')).toBe('Reset');
+            expect(resolveEvent(overloads, 'allEvents')).toBe('allEvents');
+            expect(resolveEvent(overloads, 'Set(string)')).toMatch(/^0x[0-9a-f]{64}$/);
+            expect(() => resolveEvent(overloads, 'Set'))
+                .toThrow('The Set event is overloaded: Set(uint256), Set(string); use the signature, e.g. obj[\'onSet(uint256)\'](...)');
+        });
+    });
+
+    describe('revert data', () => {
+        const errors = [
+            ...abi,
+            { type: 'error', name: 'InsufficientBalance', inputs: [{ name: 'available', type: 'uint256' }, { name: 'required', type: 'uint256' }] }
+        ];
+
+        let coder;
+
+        beforeEach(() => {
+            coder = {
+                decodeParameter: jest.fn((type) => (type === 'string' ? 'Not enough tokens' : '17')),
+                decodeParameters: jest.fn(() => ({ 0: '1', 1: '2', available: '1', required: '2', __length__: 2 }))
+            };
+        });
+
+        it('finds the revert data of the different nodes', () => {
+            expect(findRevertData({ data: '0x08c379a0' })).toBe('0x08c379a0');
+            expect(findRevertData({ error: { data: { data: '0x4e487b71' } } })).toBe('0x4e487b71');
+            expect(findRevertData({ data: { '0xhash': { error: 'revert', return: '0xcf479181' }, name: 'RuntimeError' } })).toBe('0xcf479181');
+            expect(findRevertData(new Error('Transaction has been reverted by the EVM'))).toBeNull();
+        });
+
+        it('decodes Error(string)', () => {
+            expect(decodeRevertData('0x08c379a0aa', errors, coder)).toEqual({ name: 'Error', args: ['Not enough tokens'], reason: 'Not enough tokens' });
+            expect(coder.decodeParameter).toBeCalledWith('string', '0xaa');
+        });
+
+        it('decodes Panic(uint256)', () => {
+            expect(decodeRevertData('0x4e487b71aa', errors, coder))
+                .toEqual({ name: 'Panic', args: ['17'], reason: 'Panic(0x11): arithmetic overflow or underflow' });
+        });
+
+        it('decodes the custom errors of the ABI', () => {
+            expect(decodeRevertData('0xcf479181aa', errors, coder))
+                .toEqual({ name: 'InsufficientBalance', args: ['1', '2'], reason: 'InsufficientBalance(1, 2)' });
+            expect(coder.decodeParameters).toBeCalledWith(errors[errors.length - 1].inputs, '0xaa');
+        });
+
+        it('returns null for an empty or unknown revert data', () => {
+            expect(decodeRevertData('0x', errors, coder)).toBeNull();
+            expect(decodeRevertData('0x12345678', errors, coder)).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,116 @@
+const Batch = require('../../src/lib/modules/batch');
+
+describe('Batch unit tests', () => {
+    let w3, token, other, aggregate3, requests;
+
+    const abi = [
+        { type: 'function', name: 'balanceOf', stateMutability: 'view', inputs: [{ type: 'address' }], outputs: [{ type: 'uint256' }] },
+        { type: 'function', name: 'info', stateMutability: 'view', inputs: [], outputs: [{ name: 'a', type: 'uint8' }, { name: 'b', type: 'string' }] },
+        { type: 'function', name: 'transfer', stateMutability: 'nonpayable', inputs: [], outputs: [] }
+    ];
+
+    const getInstance = address => {
+        const method = name => (...args) => ({
+            encodeABI: () => `${name}(${args.join(',')})`,
+            call: { request: (...params) => ({ name, args, params }) }
+        });
+
+        return {
+            address,
+            abi,
+            w3,
+            _call: ['balanceOf', 'info'],
+            contract: { methods: { balanceOf: method('balanceOf'), info: method('info') } }
+        };
+    };
+
+    beforeEach(() => {
+        aggregate3 = jest.fn();
+        requests = [];
+
+        w3 = {
+            eth: {
+                getCode: jest.fn(async () => '0x6080'),
+                Contract: jest.fn(() => ({ methods: { aggregate3: calls => ({ call: (...args) => aggregate3(calls, ...args) }) } })),
+                abi: {
+                    decodeParameters: jest.fn((outputs, data) => {
+                        if (data === '0x') throw new Error('Invalid data');
+                        const values = data.split(',');
+                        return Object.assign({ __length__: values.length }, values);
+                    })
+                }
+            },
+            BatchRequest: jest.fn(() => ({
+                add: request => requests.push(request),
+                execute: () => requests.forEach(({ name, args, params }) => {
+                    const callback = params[params.length - 1];
+                    if (args[0] === 'bad') callback(new Error('reverted'));
+                    else callback(null, `${name}:${args[0]}`);
+                })
+            }))
+        };
+
+        token = getInstance('0x1');
+        other = getInstance('0x2');
+    });
+
+    it('aggregates the calls of several instances into a single request', async () => {
+        aggregate3.mockResolvedValue([{ success: true, returnData: '10' }, { success: true, returnData: '1,x' }]);
+
+        const results = await new Batch(token, { blockNumber: 5 })
+            .add(token, 'balanceOf', '0xa')
+            .add(other, 'info')
+            .execute();
+
+        expect(w3.eth.Contract).toBeCalledWith(expect.any(Array), Batch.MULTICALL_ADDRESS);
+        expect(aggregate3).toBeCalledWith([['0x1', true, 'balanceOf(0xa)'], ['0x2', true, 'info()']], {}, 5);
+        expect(results).toEqual([{ success: true, result: '10' }, { success: true, result: { 0: '1', 1: 'x' } }]);
+    });
+
+    it('reports the failed calls individually', async () => {
+        aggregate3.mockResolvedValue([{ success: false, returnData: '0x' }, { success: true, returnData: '0x' }]);
+
+        const results = await new Batch(token).add(token, 'balanceOf', '0xa').add(token, 'balanceOf', '0xb').execute();
+
+        expect(results).toEqual([
+            { success: false, error: new Error('The balanceOf call has been reverted!') },
+            { success: false, error: new Error('Invalid data') }
+        ]);
+    });
+
+    it('splits the calls into chunks', async () => {
+        aggregate3.mockImplementation(async calls => calls.map(() => ({ success: true, returnData: '1' })));
+
+        const batch = new Batch(token, { chunkSize: 2 });
+        ['0xa', '0xb', '0xc'].forEach(holder => batch.add(token, 'balanceOf', holder));
+
+        expect(await batch.execute()).toHaveLength(3);
+        expect(aggregate3).toBeCalledTimes(2);
+    });
+
+    it('falls back to a JSON-RPC batch if there is no aggregator', async () => {
+        w3.eth.getCode.mockResolvedValue('0x');
+
+        const results = await new Batch(token, { multicallAddress: '0x3', from: '0xf' })
+            .add(token, 'balanceOf', '0xa')
+            .add(token, 'balanceOf', 'bad')
+            .execute();
+
+        expect(requests[0].params).toEqual([{ from: '0xf' }, expect.any(Function)]);
+        expect(results).toEqual([{ success: true, result: 'balanceOf:0xa' }, { success: false, error: new Error('reverted') }]);
+    });
+
+    it('checks the aggregator once per web3 instance', async () => {
+        aggregate3.mockResolvedValue([{ success: true, returnData: '1' }]);
+
+        await new Batch(token, { multicallAddress: '0x4' }).add(token, 'balanceOf', '0xa').execute();
+        await new Batch(token, { multicallAddress: '0x4' }).add(token, 'balanceOf', '0xa').execute();
+
+        expect(w3.eth.getCode).toBeCalledTimes(1);
+    });
+
+    it('accepts the view methods only', () => {
+        expect(() => new Batch(token).add(token, 'transfer')).toThrow('The transfer method is not a view function!');
+        expect(() => new Batch(token).add(token, 'info', 1)).toThrow('The info method with 1 argument(s) is not found in the ABI!');
+    });
+});
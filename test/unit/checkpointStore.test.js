@@ -0,0 +1,37 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CheckpointStore = require('../../src/lib/stores/checkpointStore');
+
+describe('CheckpointStore unit tests', () => {
+    let dir, filename;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'eth-sci-checkpoints-'));
+        filename = path.join(dir, 'checkpoints.json');
+    });
+
+    afterEach(() => {
+        fs.rmdirSync(dir, { recursive: true });
+    });
+
+    it('throws if the filename is not defined', () => {
+        expect(() => new CheckpointStore()).toThrow('The store filename is not defined!');
+    });
+
+    it('returns null if there is no checkpoint', () => {
+        expect(new CheckpointStore(filename).getCheckpoint('id')).toBeNull();
+    });
+
+    it('keeps the checkpoints between the instances', () => {
+        new CheckpointStore(filename).saveCheckpoint('id', { blockNumber: 1, keys: ['0x1:0'] });
+
+        expect(new CheckpointStore(filename).getCheckpoint('id')).toEqual({ blockNumber: 1, keys: ['0x1:0'] });
+    });
+
+    it('ignores a broken file', () => {
+        fs.writeFileSync(filename, '{"id');
+
+        expect(new CheckpointStore(filename).getCheckpoint('id')).toBeNull();
+    });
+});
@@ -0,0 +1,215 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const solc = require('solc');
+const { compile } = require('../../src/lib/utils/compiler');
+
+jest.mock('solc');
+
+describe('Compiler unit tests', () => {
+    let basePath, solcResp;
+
+    const write = (file, content) => {
+        const filename = path.join(basePath, file);
+        fs.mkdirSync(path.dirname(filename), { recursive: true });
+        fs.writeFileSync(filename, content);
+    };
+
+    const getInput = () => JSON.parse(solc.compile.mock.calls[0][0]);
+    const getImportCallback = () => solc.compile.mock.calls[0][1];
+
+    beforeEach(() => {
+        basePath = fs.mkdtempSync(path.join(os.tmpdir(), 'eth-sci-compiler-'));
+        solcResp = {
+            contracts: {
+                'contracts/Token.sol': { Token: { abi: ['0'], evm: { bytecode: { object: '1' } } } },
+                '@lib/Ownable.sol': { Ownable: { abi: ['1'], evm: { bytecode: { object: '2' } } } }
+            }
+        };
+        solc.compile.mockReturnValue(JSON.stringify(solcResp));
+    });
+
+    afterEach(() => {
+        fs.rmdirSync(basePath, { recursive: true });
+    });
+
+    it('compiles a map of sources and returns artifacts keyed by file and contract', async () => {
+        const result = await compile({ 'contracts/Token.sol': 'contract Token {}' }, { basePath });
+
+        expect(getInput().sources).toEqual({ 'contracts/Token.sol': { content: 'contract Token {}' } });
+        expect(result).toEqual({
+            'contracts/Token.sol:Token': { abi: ['0'], bytecode: '0x1' },
+            '@lib/Ownable.sol:Ownable': { abi: ['1'], bytecode: '0x2' }
+        });
+    });
+
+    it('reads an entry file relative to the base path', async () => {
+        write('contracts/Token.sol', 'contract Token {}');
+
+        await compile('contracts/Token.sol', { basePath });
+
+        expect(getInput().sources).toEqual({ 'contracts/Token.sol': { content: 'contract Token {}' } });
+    });
+
+    it('keeps the plain contract names for a source string', async () => {
+        solcResp.contracts = { contract: { Token: { abi: [], evm: { bytecode: { object: '1' } } } } };
+        solc.compile.mockReturnValue(JSON.stringify(solcResp));
+
+        const result = await compile('pragma solidity ^0.5.0;\ncontract Token {}', { basePath });
+
+        expect(result).toEqual({ Token: { abi: [], bytecode: '0x1' } });
+    });
+
+    it('resolves relative imports from the base path', async () => {
+        write('contracts/Ownable.sol', 'contract Ownable {}');
+        await compile({ 'contracts/Token.sol': '' }, { basePath });
+
+        expect(getImportCallback()('contracts/Ownable.sol')).toEqual({ contents: 'contract Ownable {}' });
+    });
+
+    it('resolves package imports from node_modules', async () => {
+        write('node_modules/@openzeppelin/contracts/access/Ownable.sol', 'contract Ownable {}');
+        await compile({ 'contracts/Token.sol': '' }, { basePath: path.join(basePath, 'contracts') });
+
+        expect(getImportCallback()('@openzeppelin/contracts/access/Ownable.sol'))
+            .toEqual({ contents: 'contract Ownable {}' });
+    });
+
+    it('resolves imports from the include paths', async () => {
+        write('lib/Ownable.sol', 'contract Ownable {}');
+        await compile({ 'Token.sol': '' }, { basePath, includePaths: ['lib'] });
+
+        expect(getImportCallback()('Ownable.sol')).toEqual({ contents: 'contract Ownable {}' });
+    });
+
+    it('returns an error if an import is not found', async () => {
+        await compile({ 'Token.sol': '' }, { basePath });
+
+        expect(getImportCallback()('Missing.sol')).toEqual({ error: 'File not found: Missing.sol' });
+    });
+
+    it('ignores the warnings if requested', async () => {
+        solcResp.errors = [{ type: 'Warning', formattedMessage: 'Warning' }];
+        solc.compile.mockReturnValue(JSON.stringify(solcResp));
+
+        const result = await compile({ 'Token.sol': '' }, { basePath, ignoreWarning: true });
+
+        expect(Object.keys(result)).toHaveLength(2);
+    });
+
+    it('fails on errors even if the warnings are ignored', () => {
+        solcResp.errors = [{ type: 'ParserError', formattedMessage: 'Error' }, { type: 'Warning', formattedMessage: 'W' }];
+        solc.compile.mockReturnValue(JSON.stringify(solcResp));
+
+        return expect(compile({ 'Token.sol': '' }, { basePath, ignoreWarning: true })).rejects.toThrow('Error');
+    });
+
+    it('passes the compiler settings', async () => {
+        await compile({ 'Token.sol': '' }, {
+            basePath,
+            runs: 1000,
+            evmVersion: 'istanbul',
+            remappings: ['@lib/=lib/'],
+            viaIR: true,
+            settings: { metadata: { bytecodeHash: 'none' } }
+        });
+
+        expect(getInput().settings).toEqual({
+            outputSelection: { '*': { '*': ['*'] } },
+            optimizer: { enabled: true, runs: 1000 },
+            evmVersion: 'istanbul',
+            remappings: ['@lib/=lib/'],
+            viaIR: true,
+            metadata: { bytecodeHash: 'none' }
+        });
+    });
+
+    it('does not enable the optimizer by default', async () => {
+        await compile({ 'Token.sol': '' }, { basePath });
+
+        expect(getInput().settings).toEqual({ outputSelection: { '*': { '*': ['*'] } } });
+    });
+
+    it('returns the full artifact', async () => {
+        const output = {
+            abi: [],
+            evm: {
+                bytecode: { object: '60', sourceMap: '1:2:0', linkReferences: {} },
+                deployedBytecode: { object: '61', sourceMap: '3:4:0' },
+                methodIdentifiers: { 'owner()': '8da5cb5b' },
+                gasEstimates: { creation: {} }
+            },
+            metadata: '{"compiler":{}}',
+            storageLayout: { storage: [] },
+            devdoc: { methods: {} },
+            userdoc: { methods: {} }
+        };
+        solc.compile.mockReturnValue(JSON.stringify({ contracts: { 'Token.sol': { Token: output } } }));
+
+        const result = await compile({ 'Token.sol': '' }, { basePath });
+
+        expect(result['Token.sol:Token']).toEqual({
+            abi: [],
+            bytecode: '0x60',
+            deployedBytecode: '0x61',
+            sourceMap: '1:2:0',
+            deployedSourceMap: '3:4:0',
+            linkReferences: {},
+            methodIdentifiers: { 'owner()': '8da5cb5b' },
+            gasEstimates: { creation: {} },
+            metadata: '{"compiler":{}}',
+            storageLayout: { storage: [] },
+            devdoc: { methods: {} },
+            userdoc: { methods: {} }
+        });
+    });
+
+    it('reuses the cached output', async () => {
+        const cacheDir = path.join(basePath, 'cache');
+        solc.version.mockReturnValue('0.5.5');
+
+        const first = await compile({ 'contracts/Token.sol': '' }, { basePath, cacheDir });
+        const second = await compile({ 'contracts/Token.sol': '' }, { basePath, cacheDir });
+
+        expect(solc.compile).toBeCalledTimes(1);
+        expect(second).toEqual(first);
+    });
+
+    it('does not cache the failed compilation', async () => {
+        const cacheDir = path.join(basePath, 'cache');
+        solc.version.mockReturnValue('0.5.5');
+        solcResp.errors = [{ type: 'ParserError', severity: 'error', formattedMessage: 'Error' }];
+        solc.compile.mockReturnValue(JSON.stringify(solcResp));
+
+        await expect(compile({ 'Token.sol': '' }, { basePath, cacheDir })).rejects.toThrow('Error');
+        await expect(compile({ 'Token.sol': '' }, { basePath, cacheDir })).rejects.toThrow('Error');
+
+        expect(solc.compile).toBeCalledTimes(2);
+    });
+
+    it('fails if no local compiler satisfies the pragma', () => {
+        solc.version.mockReturnValue('0.5.5+commit.47a71e8f.Emscripten.clang');
+
+        return expect(compile({ 'Token.sol': 'pragma solidity ^0.8.0;' }, { basePath, compilersDir: basePath }))
+            .rejects.toThrow('Available versions:\n["0.5.5"]');
+    });
+
+    it('compiles the imports with a local >=0.6 build', async () => {
+        const { version } = require('solc-wrapper/package.json');
+        const compilersDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eth-sci-solc-'));
+        fs.symlinkSync(require.resolve('solc-wrapper/soljson.js'), path.join(compilersDir, `soljson-v${version}.js`));
+        solc.version.mockReturnValue('0.5.5+commit.47a71e8f.Emscripten.clang');
+
+        write('contracts/Token.sol', '// SPDX-License-Identifier: MIT\npragma solidity >=0.6.0;\nimport "./Ownable.sol";\ncontract Token is Ownable {}');
+        write('contracts/Ownable.sol', '// SPDX-License-Identifier: MIT\npragma solidity >=0.6.0;\ncontract Ownable {}');
+
+        try {
+            const result = await compile(path.join(basePath, 'contracts/Token.sol'), { basePath, compilersDir });
+
+            expect(Object.keys(result).sort()).toEqual(['contracts/Ownable.sol:Ownable', 'contracts/Token.sol:Token']);
+            expect(solc.compile).not.toBeCalled();
+        } finally {
+            fs.rmdirSync(compilersDir, { recursive: true });
+        }
+    });
+});
@@ -0,0 +1,64 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CompilerCache = require('../../src/lib/utils/compilerCache');
+
+describe('CompilerCache unit tests', () => {
+    let dir, cache, input, imports, findImports;
+
+    beforeEach(() => {
+        dir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'eth-sci-cache-')), 'cache');
+        cache = new CompilerCache(dir);
+        input = { language: 'Solidity', sources: { 'Token.sol': { content: 'import "Ownable.sol";' } }, settings: {} };
+        imports = { 'Ownable.sol': 'contract Ownable {}' };
+        findImports = jest.fn(importPath => ({ contents: imports[importPath] }));
+    });
+
+    afterEach(() => {
+        fs.rmdirSync(path.dirname(dir), { recursive: true });
+    });
+
+    it('throws if the directory is not defined', () => {
+        expect(() => new CompilerCache()).toThrow('The cache directory is not defined!');
+    });
+
+    it('returns null on a miss', () => {
+        expect(cache.get('0.5.5', input, findImports)).toBeNull();
+    });
+
+    it('returns the stored output', () => {
+        cache.set('0.5.5', input, imports, '{"contracts":{}}');
+
+        expect(cache.get('0.5.5', input, findImports)).toBe('{"contracts":{}}');
+        expect(findImports).toBeCalledWith('Ownable.sol');
+    });
+
+    it('is keyed by the compiler version, the sources and the settings', () => {
+        cache.set('0.5.5', input, imports, '{}');
+
+        expect(cache.get('0.5.6', input, findImports)).toBeNull();
+        expect(cache.get('0.5.5', { ...input, settings: { evmVersion: 'byzantium' } }, findImports)).toBeNull();
+        expect(cache.get('0.5.5', { ...input, sources: {} }, findImports)).toBeNull();
+    });
+
+    it('is invalidated if an imported file has changed', () => {
+        cache.set('0.5.5', input, imports, '{}');
+        imports['Ownable.sol'] = 'contract Ownable { address owner; }';
+
+        expect(cache.get('0.5.5', input, findImports)).toBeNull();
+    });
+
+    it('is invalidated if an imported file has been removed', () => {
+        cache.set('0.5.5', input, imports, '{}');
+        delete imports['Ownable.sol'];
+
+        expect(cache.get('0.5.5', input, findImports)).toBeNull();
+    });
+
+    it('ignores a broken entry', () => {
+        cache.set('0.5.5', input, imports, '{}');
+        fs.writeFileSync(path.join(dir, `${cache.getKey('0.5.5', input)}.json`), '{"ver');
+
+        expect(cache.get('0.5.5', input, findImports)).toBeNull();
+    });
+});
@@ -0,0 +1,138 @@
+const Interface = require('../../src/lib/interface/interface');
+const ERC1155 = require('../../src/lib/modules/erc1155Interface');
+const abi = require('../../src/resources/ERC1155/ERC1155');
+
+jest.mock('../../src/lib/interface/interface');
+
+describe('ERC1155 Interface unit tests', () => {
+    let token;
+
+    const single = (blockNumber, id, value) => ({
+        event: 'TransferSingle',
+        blockNumber,
+        logIndex: 0,
+        transactionHash: `0x${blockNumber}`,
+        returnValues: { operator: '0xo', from: '0xa', to: '0xb', id, value }
+    });
+
+    const batch = (blockNumber, ids, values) => ({
+        event: 'TransferBatch',
+        blockNumber,
+        logIndex: 1,
+        transactionHash: `0x${blockNumber}`,
+        returnValues: { operator: '0xo', from: '0xa', to: '0xb', ids, values }
+    });
+
+    const transfer = (blockNumber, id, value, batchIndex, event, logIndex) => ({
+        operator: '0xo',
+        from: '0xa',
+        to: '0xb',
+        id,
+        value,
+        batchIndex,
+        event,
+        transactionHash: `0x${blockNumber}`,
+        blockNumber,
+        logIndex,
+        removed: false
+    });
+
+    beforeEach(() => {
+        Interface.mockImplementation(function init(node, address, mnemonic, web3, tokenAbi) {
+            this.abi = tokenAbi;
+            this._sent = [];
+            this.proxyMethods = [];
+        });
+
+        token = new ERC1155('host');
+        Object.defineProperty(token, 'wallet', { value: '0xa' });
+        token.accounts = ['0xa'];
+        token.w3 = { utils: { toHex: id => `0x${Number(id).toString(16)}` } };
+        token.setApprovalForAll = jest.fn();
+        token.isApprovedForAll = jest.fn(() => Promise.resolve(true));
+        token.balanceOfBatch = jest.fn(() => Promise.resolve(['5', '7']));
+        token.uri = jest.fn(() => Promise.resolve('ipfs://items/{id}.json'));
+        token.getEvents = jest.fn();
+        token._subscribe = jest.fn(() => ({ unsubscribe: jest.fn() }));
+    });
+
+    it('initiates instance with the default parameters', () => {
+        expect(Interface).toBeCalledWith('host', undefined, undefined, undefined, abi, undefined);
+    });
+
+    it('sends the transfers with the empty data by default', () => {
+        token['safeTransferFrom(address,address,uint256,uint256,bytes)'] = jest.fn();
+        token['safeBatchTransferFrom(address,address,uint256[],uint256[],bytes)'] = jest.fn();
+        const options = { gasPrice: 1 };
+
+        token.safeTransferFrom('0xa', '0xb', 1, 2, options);
+        token.safeBatchTransferFrom('0xa', '0xb', [1, 2], [3, 4], '0x01');
+
+        expect(token['safeTransferFrom(address,address,uint256,uint256,bytes)']).toBeCalledWith('0xa', '0xb', 1, 2, '0x', options);
+        expect(token['safeBatchTransferFrom(address,address,uint256[],uint256[],bytes)'])
+            .toBeCalledWith('0xa', '0xb', [1, 2], [3, 4], '0x01');
+    });
+
+    it('throws if the numbers of ids and amounts differ', () => {
+        expect(() => token.safeBatchTransferFrom('0xa', '0xb', [1, 2], [3]))
+            .toThrow('The number of ids and amounts must be equal!');
+    });
+
+    it('returns the balances of an account', async () => {
+        expect(await token.balancesOf('0xa', [1, 2])).toEqual({ 1: '5', 2: '7' });
+        expect(token.balanceOfBatch).toBeCalledWith(['0xa', '0xa'], [1, 2]);
+    });
+
+    it('manages the operators', async () => {
+        token.approveOperator('0xo', { gasPrice: 1 });
+        token.revokeOperator('0xo');
+
+        expect(token.setApprovalForAll.mock.calls).toEqual([['0xo', true, { gasPrice: 1 }], ['0xo', false]]);
+        expect(await token.isOperator('0xo')).toBe(true);
+        expect(token.isApprovedForAll).toBeCalledWith('0xa', '0xo');
+    });
+
+    it('substitutes the id in the uri', async () => {
+        expect(await token.tokenURI(255)).toBe(`ipfs://items/${'0'.repeat(62)}ff.json`);
+    });
+
+    it('returns the past transfers one per token id', async () => {
+        token.getEvents
+            .mockResolvedValueOnce([single(5, '3', '1')])
+            .mockResolvedValueOnce([batch(2, ['1', '2'], ['10', '20'])]);
+
+        expect(await token.getTransfers({ fromBlock: 1 })).toEqual([
+            transfer(2, '1', '10', 0, 'TransferBatch', 1),
+            transfer(2, '2', '20', 1, 'TransferBatch', 1),
+            transfer(5, '3', '1', 0, 'TransferSingle', 0)
+        ]);
+        expect(token.getEvents).toBeCalledWith('TransferBatch', { fromBlock: 1 });
+    });
+
+    it('subscribes to both transfer events', () => {
+        const callback = jest.fn();
+        const onRemoved = jest.fn();
+        const sub = token.onTransfer({ confirmations: 1, onRemoved }, callback);
+
+        expect(token._subscribe.mock.calls.map(call => call[1])).toEqual(['TransferSingle', 'TransferBatch']);
+
+        const [options, , handler] = token._subscribe.mock.calls[1];
+        handler(null, batch(2, ['1', '2'], ['10', '20']));
+        options.onRemoved(single(5, '3', '1'));
+
+        expect(callback.mock.calls).toEqual([
+            [null, transfer(2, '1', '10', 0, 'TransferBatch', 1)],
+            [null, transfer(2, '2', '20', 1, 'TransferBatch', 1)]
+        ]);
+        expect(onRemoved).toBeCalledWith(transfer(5, '3', '1', 0, 'TransferSingle', 0));
+
+        sub.unsubscribe();
+        sub.subscriptions.forEach(subscription => expect(subscription.unsubscribe).toBeCalled());
+    });
+
+    it('keeps a checkpoint per transfer event', () => {
+        token.onTransfer({ checkpointId: 'items' }, jest.fn());
+
+        expect(token._subscribe.mock.calls.map(call => call[0].checkpointId)).toEqual(['items:TransferSingle', 'items:TransferBatch']);
+    });
+});
@@ -1,8 +1,10 @@
 const Interface = require('../../src/lib/interface/interface');
 const ERC20 = require('../../src/lib/modules/erc20Interface');
 const abi = require('../../src/resources/ERC20/ERC20');
+const utils = require('../../src/lib/utils');
 
 jest.mock('../../src/lib/interface/interface');
+jest.mock('../../src/lib/utils', () => ({ ...jest.requireActual('../../src/lib/utils'), toToken: jest.fn() }));
 
 describe('ERC20 Interface unit tests', () => {
     it('initiates instance with the default parameters', () => {
@@ -31,4 +33,102 @@ describe('ERC20 Interface unit tests', () => {
 
         expect(Interface).toBeCalledWith(...options);
     })
+
+    describe('human-unit helpers', () => {
+        let token, call;
+
+        beforeEach(() => {
+            token = new ERC20('host');
+            Object.defineProperty(token, 'address', { value: '0x1', configurable: true });
+            Object.defineProperty(token, 'wallet', { value: '0xf' });
+
+            call = jest.fn(() => Promise.resolve('0x'));
+            token.accounts = ['0xf'];
+            token.contract = {
+                methods: {
+                    decimals: jest.fn(() => ({ call: () => Promise.resolve('6') })),
+                    symbol: jest.fn(() => ({ call: () => Promise.resolve('USDT') })),
+                    transfer: jest.fn((...args) => ({ encodeABI: () => `transfer(${args})` })),
+                    approve: jest.fn((...args) => ({ encodeABI: () => `approve(${args})` }))
+                }
+            };
+            token.w3 = { eth: { call, abi: { decodeParameter: (type, value) => value === '0x01' } } };
+            token.balanceOf = jest.fn(() => Promise.resolve('12500000'));
+            token.transfer = jest.fn(() => Promise.resolve('receipt'));
+            token.approve = jest.fn(() => Promise.resolve('receipt'));
+            token.allowance = jest.fn(() => Promise.resolve('0'));
+        });
+
+        it('caches the decimals and the symbol per token address', async () => {
+            expect(await token.decimals()).toBe(6);
+            expect(await token.decimals()).toBe(6);
+            expect(await token.symbol()).toBe('USDT');
+            expect(token.contract.methods.decimals).toBeCalledTimes(1);
+
+            Object.defineProperty(token, 'address', { value: '0x2' });
+            await token.decimals();
+            expect(token.contract.methods.decimals).toBeCalledTimes(2);
+        });
+
+        it('passes the metadata to the callback', async () => {
+            const callback = jest.fn();
+            await token.symbol(callback);
+
+            expect(callback).toBeCalledWith(null, 'USDT');
+        });
+
+        it('returns the formatted balance', async () => {
+            utils.toToken.mockReturnValue('12.5');
+
+            expect(await token.balanceOfFormatted('0xa')).toBe('12.5');
+            expect(utils.toToken).toBeCalledWith('12500000', 6);
+        });
+
+        it('transfers the amount in tokens', async () => {
+            expect(await token.transferAmount('0xa', '12.5', { gasPrice: 1 })).toBe('receipt');
+
+            expect(call).toBeCalledWith({ from: '0xf', to: '0x1', data: 'transfer(0xa,12500000)' });
+            expect(token.transfer).toBeCalledWith('0xa', '12500000', { gasPrice: 1 });
+        });
+
+        it('does not send the transaction if the token returns false', async () => {
+            call.mockResolvedValue('0x00');
+
+            await expect(token.approveAmount('0xa', '1')).rejects.toThrow('The approve call has returned false!');
+            expect(token.approve).not.toBeCalled();
+        });
+
+        it('resets a non-zero allowance first', async () => {
+            token.allowance.mockResolvedValue('1000000');
+
+            expect(await token.setAllowance('0xa', '2')).toEqual(['receipt', 'receipt']);
+            expect(token.approve.mock.calls).toEqual([['0xa', 0], ['0xa', '2000000']]);
+        });
+
+        it('sends each transaction with its own options and calls back once', async () => {
+            const options = { gasPrice: 1 };
+            const callback = jest.fn();
+            let nonce = 0;
+            token.allowance.mockResolvedValue('1000000');
+            // the transaction manager writes the nonce into the options
+            token.approve.mockImplementation(async (spender, value, opts) => {
+                opts.nonce = opts.nonce || ++nonce;
+                return opts.nonce;
+            });
+
+            await token.setAllowance('0xa', '2', options, callback);
+
+            expect(token.approve.mock.calls).toEqual([['0xa', 0, { gasPrice: 1, nonce: 1 }], ['0xa', '2000000', { gasPrice: 1, nonce: 2 }]]);
+            expect(options).toEqual({ gasPrice: 1 });
+            expect(callback.mock.calls).toEqual([[null, [1, 2]]]);
+        });
+
+        it('skips the allowance change if the amount is the same', async () => {
+            token.allowance.mockResolvedValue('2000000');
+
+            expect(await token.setAllowance('0xa', '2')).toEqual([]);
+            expect(token.approve).not.toBeCalled();
+        });
+    });
 });
+
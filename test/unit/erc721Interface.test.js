@@ -0,0 +1,107 @@
+const Interface = require('../../src/lib/interface/interface');
+const ERC721 = require('../../src/lib/modules/erc721Interface');
+const abi = require('../../src/resources/ERC721/ERC721');
+
+jest.mock('../../src/lib/interface/interface');
+
+describe('ERC721 Interface unit tests', () => {
+    let token, supportsInterface;
+
+    const transfer = (blockNumber, from, to, tokenId) => ({ blockNumber, logIndex: 0, returnValues: { from, to, tokenId } });
+
+    beforeEach(() => {
+        Interface.mockImplementation(function init(node, address, mnemonic, web3, tokenAbi) {
+            this.abi = tokenAbi;
+            this._sent = [];
+            this.proxyMethods = [];
+        });
+
+        token = new ERC721('host');
+        supportsInterface = jest.fn(() => Promise.resolve(false));
+
+        Object.defineProperty(token, 'address', { value: '0x1', configurable: true });
+        Object.defineProperty(token, 'wallet', { value: '0xA' });
+        token.accounts = ['0xa'];
+        token.contract = { methods: { supportsInterface: () => ({ call: supportsInterface }) } };
+        token.ownerOf = jest.fn(() => Promise.resolve('0xa'));
+        token.getApproved = jest.fn(() => Promise.resolve('0x0'));
+        token.isApprovedForAll = jest.fn(() => Promise.resolve(false));
+        token.balanceOf = jest.fn(() => Promise.resolve('2'));
+        token.multicall = jest.fn(calls => Promise.resolve(calls.map(([, , index]) => ({ success: true, result: 10 + index }))));
+        token.getEvents = jest.fn();
+    });
+
+    it('initiates instance with the default parameters', () => {
+        expect(Interface).toBeCalledWith('host', undefined, undefined, undefined, abi, undefined);
+    });
+
+    it('selects the safeTransferFrom overload', () => {
+        const options = { gasPrice: 1 };
+        token['safeTransferFrom(address,address,uint256)'] = jest.fn();
+        token['safeTransferFrom(address,address,uint256,bytes)'] = jest.fn();
+
+        token.safeTransferFrom('0xa', '0xb', 1, options);
+        token.safeTransferFrom('0xa', '0xb', 1, '0x01', options);
+
+        expect(token['safeTransferFrom(address,address,uint256)']).toBeCalledWith('0xa', '0xb', 1, options);
+        expect(token['safeTransferFrom(address,address,uint256,bytes)']).toBeCalledWith('0xa', '0xb', 1, '0x01', options);
+    });
+
+    it('checks the owner', async () => {
+        expect(await token.isOwner(1)).toBe(true);
+        expect(await token.isOwner(1, '0xb')).toBe(false);
+    });
+
+    it('checks the approvals', async () => {
+        expect(await token.isApprovedOrOwner('0xA', 1)).toBe(true);
+        expect(await token.isApprovedOrOwner('0xb', 1)).toBe(false);
+
+        token.getApproved.mockResolvedValue('0xb');
+        expect(await token.isApprovedOrOwner('0xb', 1)).toBe(true);
+
+        token.getApproved.mockResolvedValue('0x0');
+        token.isApprovedForAll.mockResolvedValue(true);
+        expect(await token.isApprovedOrOwner('0xc', 1)).toBe(true);
+        expect(token.isApprovedForAll).toHaveBeenLastCalledWith('0xa', '0xc');
+    });
+
+    it('enumerates the tokens of an enumerable contract', async () => {
+        supportsInterface.mockResolvedValue(true);
+
+        expect(await token.tokensOfOwner('0xa')).toEqual(['10', '11']);
+        expect(token.multicall).toBeCalledWith([['tokenOfOwnerByIndex', '0xa', 0], ['tokenOfOwnerByIndex', '0xa', 1]]);
+        expect(token.getEvents).not.toBeCalled();
+    });
+
+    it('replays the Transfer events if the contract is not enumerable', async () => {
+        token.getEvents
+            .mockResolvedValueOnce([transfer(1, '0x0', '0xa', '1'), transfer(2, '0x0', '0xa', '2'), transfer(5, '0xb', '0xa', '1')])
+            .mockResolvedValueOnce([transfer(3, '0xa', '0xb', '1')]);
+
+        const callback = jest.fn();
+        await token.tokensOfOwner('0xa', { fromBlock: 1 }, callback);
+
+        expect(callback).toBeCalledWith(null, ['2', '1']);
+        expect(token.getEvents).toBeCalledWith('Transfer', { fromBlock: 1, filter: { to: '0xa' } });
+        expect(token.getEvents).toBeCalledWith('Transfer', { fromBlock: 1, filter: { from: '0xa' } });
+    });
+
+    it('checks the ERC165 support once', async () => {
+        supportsInterface.mockRejectedValue(new Error('revert'));
+
+        expect(await token.isEnumerable()).toBe(false);
+        expect(await token.isEnumerable()).toBe(false);
+        expect(supportsInterface).toBeCalledTimes(1);
+    });
+
+    it('checks the ERC165 support again after a failed request', async () => {
+        supportsInterface.mockRejectedValueOnce(new Error('Invalid JSON RPC response: ""'));
+
+        await expect(token.tokensOfOwner('0xa')).rejects.toThrow('Invalid JSON RPC response');
+        expect(token.getEvents).not.toBeCalled();
+
+        supportsInterface.mockResolvedValue(true);
+        expect(await token.tokensOfOwner('0xa')).toEqual(['10', '11']);
+        expect(supportsInterface).toBeCalledTimes(2);
+    });
+});
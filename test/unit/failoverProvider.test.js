@@ -0,0 +1,138 @@
+const Events = require('events');
+const FailoverProvider = require('../../src/lib/providers/failoverProvider');
+
+jest.useFakeTimers();
+
+describe('FailoverProvider unit tests', () => {
+    let failover, providers, endpoints, payload;
+
+    const respond = result => jest.fn((request, callback) => callback(null, result));
+    const fail = message => jest.fn((request, callback) => callback(new Error(message)));
+
+    beforeEach(() => {
+        payload = { jsonrpc: '2.0', id: 1, method: 'eth_blockNumber', params: [] };
+        providers = [
+            { send: fail('down'), on: jest.fn() },
+            { send: respond({ id: 1, result: '0x2' }), on: jest.fn() },
+            { send: respond({ id: 1, result: '0x3' }) }
+        ];
+        endpoints = providers.map((provider, index) => ({ uri: `http://node${index}`, getProvider: () => provider }));
+        failover = new FailoverProvider(endpoints, { timeout: 1000, healthCheckInterval: 0 });
+        failover.emitter.emit = jest.fn();
+    });
+
+    afterEach(() => {
+        jest.clearAllTimers();
+    });
+
+    it('throws if there are no endpoints', () => {
+        expect(() => new FailoverProvider([])).toThrow('At least one endpoint must be defined!');
+    });
+
+    it('sends the requests to the first endpoint', () => {
+        const callback = jest.fn();
+        providers[0].send = respond({ id: 1, result: '0x1' });
+
+        failover.send(payload, callback);
+
+        expect(callback).toBeCalledWith(null, { id: 1, result: '0x1' });
+        expect(providers[1].send).not.toBeCalled();
+        expect(failover.activeEndpoint).toBe('http://node0');
+    });
+
+    it('switches to the next endpoint on error', () => {
+        const callback = jest.fn();
+
+        failover.send(payload, callback);
+
+        expect(callback).toBeCalledWith(null, { id: 1, result: '0x2' });
+        expect(failover.activeEndpoint).toBe('http://node1');
+        expect(failover.endpoints[0]).toMatchObject({ healthy: false, error: new Error('down') });
+        expect(failover.emitter.emit).toBeCalledWith('endpointDown', { uri: 'http://node0', error: new Error('down') });
+        expect(failover.emitter.emit).toBeCalledWith('failover', { from: 'http://node0', to: 'http://node1' });
+        expect(failover.emitter.emit).toBeCalledWith('resetProvider');
+    });
+
+    it('switches to the next endpoint on timeout', () => {
+        const callback = jest.fn();
+        providers[0].send = jest.fn();
+
+        failover.send(payload, callback);
+        jest.advanceTimersByTime(1000);
+
+        expect(callback).toBeCalledWith(null, { id: 1, result: '0x2' });
+        expect(failover.endpoints[0].error.message).toBe('The request to "http://node0" timed out after 1000 ms');
+    });
+
+    it('passes the JSON-RPC errors as is', () => {
+        const callback = jest.fn();
+        providers[0].send = respond({ id: 1, error: { message: 'execution reverted' } });
+
+        failover.send(payload, callback);
+
+        expect(callback).toBeCalledWith(null, { id: 1, error: { message: 'execution reverted' } });
+        expect(failover.activeEndpoint).toBe('http://node0');
+    });
+
+    it('returns the error if all the endpoints fail', () => {
+        const callback = jest.fn();
+        providers[1].send = fail('down1');
+        providers[2].send = fail('down2');
+
+        failover.send(payload, callback);
+
+        expect(callback).toBeCalledWith(new Error('down2'));
+    });
+
+    it('does not repeat a non-idempotent request', () => {
+        const callback = jest.fn();
+
+        failover.send({ ...payload, method: 'eth_sendTransaction' }, callback);
+
+        expect(callback).toBeCalledWith(new Error('down'));
+        expect(providers[1].send).not.toBeCalled();
+        expect(failover.activeEndpoint).toBe('http://node1');
+    });
+
+    it('switches back once the preferred endpoint is recovered', () => {
+        failover.send(payload, jest.fn());
+        providers[0].send = respond({ id: 1, result: '1' });
+
+        failover.checkHealth();
+
+        expect(failover.activeEndpoint).toBe('http://node0');
+        expect(failover.emitter.emit).toBeCalledWith('endpointUp', { uri: 'http://node0' });
+    });
+
+    it('runs the health checks periodically', () => {
+        failover = new FailoverProvider(endpoints, { healthCheckInterval: 500 });
+
+        jest.advanceTimersByTime(500);
+
+        expect(failover.activeEndpoint).toBe('http://node1');
+        expect(providers[2].send).toBeCalledWith(expect.objectContaining({ method: 'net_version' }), expect.any(Function));
+    });
+
+    it('attaches the listeners to the active provider', () => {
+        const listener = jest.fn();
+        failover.on('data', listener);
+
+        expect(providers[0].on).toBeCalledWith('data', listener);
+
+        failover.send(payload, jest.fn());
+        failover.on('data', listener);
+
+        expect(providers[1].on).toBeCalledTimes(2);
+    });
+
+    it('restores the subscriptions once the active WebSocket endpoint is reconnected', () => {
+        const emitter = new Events();
+        failover = new FailoverProvider([{ uri: 'ws://node0', getProvider: () => providers[1], emitter }], { healthCheckInterval: 0 });
+        const onReset = jest.fn();
+        failover.emitter.on('resetProvider', onReset);
+
+        emitter.emit('resetProvider');
+
+        expect(onReset).toBeCalled();
+    });
+});
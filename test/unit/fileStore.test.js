@@ -0,0 +1,56 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileStore = require('../../src/lib/stores/fileStore');
+
+describe('FileStore unit tests', () => {
+    let filename, store;
+
+    beforeEach(() => {
+        filename = path.join(os.tmpdir(), `eth-sci-store-${process.pid}-${Date.now()}.ndjson`);
+        store = new FileStore(filename);
+    });
+
+    afterEach(() => {
+        if (fs.existsSync(filename)) fs.unlinkSync(filename);
+    });
+
+    it('throws if the filename is not defined', () => {
+        expect(() => new FileStore()).toThrow('The store filename is not defined!');
+    });
+
+    it('returns an empty state if the file does not exist', () => {
+        expect(store.load()).toEqual({ tx: [], stat: null, nonceInUse: {} });
+    });
+
+    it('keeps the latest state of each transaction', () => {
+        store.saveTx({ id: 1, status: 'pending' });
+        store.saveTx({ id: 2, status: 'pending' });
+        store.saveTx({ id: 1, status: 'confirmed', nonce: 5 });
+
+        expect(new FileStore(filename).load().tx).toEqual([
+            { id: 1, status: 'confirmed', nonce: 5 },
+            { id: 2, status: 'pending' }
+        ]);
+    });
+
+    it('restores the latest stat and the unique nonces', () => {
+        store.saveStat({ retries: 0, totalGasUsed: '1', totalEthSpent: '0.1' });
+        store.saveStat({ retries: 1, totalGasUsed: '2', totalEthSpent: '0.2' });
+        store.saveNonce('0x0', 1);
+        store.saveNonce('0x0', 1);
+
+        const { stat, nonceInUse } = store.load();
+        expect(stat).toEqual({ retries: 1, totalGasUsed: '2', totalEthSpent: '0.2' });
+        expect(nonceInUse).toEqual({ '0x0': [1] });
+    });
+
+    it('skips broken lines and compacts the file', () => {
+        store.saveTx({ id: 1, status: 'pending' });
+        store.saveTx({ id: 1, status: 'submitted' });
+        fs.appendFileSync(filename, '{"kind":"tx","da');
+
+        expect(store.load().tx).toEqual([{ id: 1, status: 'submitted' }]);
+        expect(fs.readFileSync(filename, 'utf8').trim().split('\n').length).toBe(1);
+    });
+});
@@ -0,0 +1,219 @@
+const Interface = require('../../src/lib/interface/interface');
+const TransactionManager = require('../../src/lib/modules/transactionManager');
+
+jest.mock('../../src/lib/modules/web3', () => jest.fn());
+
+describe('Interface unit tests', () => {
+    const address = '0x90F8bf6A479f320ead074411a4B0e7944Ea8c9C1';
+    let web3, contract, obj;
+
+    beforeEach(() => {
+        contract = {
+            options: {},
+            methods: {},
+            events: {},
+            getPastEvents: jest.fn()
+        };
+
+        web3 = {
+            eth: {
+                Contract: jest.fn(() => contract),
+                getBlockNumber: jest.fn(() => Promise.resolve(25))
+            },
+            currentProvider: {}
+        };
+
+        obj = Interface.web3(web3, address, []);
+    });
+
+    describe('getEvents', () => {
+        const event = (blockNumber, logIndex = 0) => ({ blockNumber, logIndex });
+
+        it('splits the block range into chunks', async () => {
+            contract.getPastEvents.mockImplementation((name, { fromBlock }) => Promise.resolve([event(fromBlock)]));
+
+            const events = await obj.getEvents('Transfer', { fromBlock: 1, chunkSize: 10, filter: { from: address } });
+
+            expect(events).toEqual([event(1), event(11), event(21)]);
+            expect(contract.getPastEvents.mock.calls.map(call => call[1])).toEqual([
+                { fromBlock: 1, toBlock: 10, filter: { from: address }, topics: undefined },
+                { fromBlock: 11, toBlock: 20, filter: { from: address }, topics: undefined },
+                { fromBlock: 21, toBlock: 25, filter: { from: address }, topics: undefined }
+            ]);
+        });
+
+        it('shrinks the chunk if the provider returns too many results', async () => {
+            contract.getPastEvents.mockImplementation((name, { fromBlock, toBlock }) => toBlock - fromBlock >= 4
+                ? Promise.reject(new Error('query returned more than 10000 results'))
+                : Promise.resolve([]));
+
+            await obj.getEvents('Transfer', { fromBlock: 0, toBlock: 9, chunkSize: 10 });
+
+            expect(contract.getPastEvents.mock.calls.map(call => [call[1].fromBlock, call[1].toBlock])).toEqual([
+                [0, 9], [0, 4], [0, 2], [3, 8], [3, 5], [6, 9]
+            ]);
+        });
+
+        it('throws other errors', () => {
+            contract.getPastEvents.mockImplementation(() => Promise.reject(new Error('connection error')));
+
+            return expect(obj.getEvents('Transfer')).rejects.toThrow('connection error');
+        });
+
+        it('returns the events in order', async () => {
+            contract.getPastEvents.mockImplementation(() => Promise.resolve([event(2, 1), event(1, 5), event(2, 0)]));
+
+            const events = await obj.getEvents('Transfer', { fromBlock: 0, toBlock: 2 });
+
+            expect(events).toEqual([event(1, 5), event(2, 0), event(2, 1)]);
+        });
+
+        it('iterates the events', async () => {
+            contract.getPastEvents.mockImplementation((name, { fromBlock }) => Promise.resolve([event(fromBlock)]));
+
+            const blocks = [];
+            for await (const item of obj.iterateEvents('Transfer', { fromBlock: 0, toBlock: 2, chunkSize: 1 }))
+                blocks.push(item.blockNumber);
+
+            expect(blocks).toEqual([0, 1, 2]);
+        });
+    });
+
+    describe('multicall', () => {
+        it('adds the calls of this and other instances', async () => {
+            const batch = { add: jest.fn(), execute: jest.fn(() => Promise.resolve(['result'])) };
+            const other = {};
+            obj.batch = jest.fn(() => batch);
+
+            const results = await obj.multicall([['balanceOf', address], [other, 'decimals']], { blockNumber: 1 });
+
+            expect(obj.batch).toBeCalledWith({ blockNumber: 1 });
+            expect(batch.add.mock.calls).toEqual([[expect.anything(), 'balanceOf', address], [other, 'decimals']]);
+            expect(results).toEqual(['result']);
+        });
+    });
+
+    describe('overloads', () => {
+        beforeEach(() => {
+            obj.abi = [
+                { type: 'function', name: 'get', stateMutability: 'view', inputs: [] },
+                { type: 'function', name: 'get', stateMutability: 'view', inputs: [{ type: 'uint256' }] },
+                { type: 'function', name: 'set', stateMutability: 'nonpayable', inputs: [{ type: 'uint256' }] },
+                { type: 'function', name: 'set', stateMutability: 'view', inputs: [{ type: 'string' }] },
+                { type: 'event', name: 'Set', inputs: [{ type: 'uint256' }] },
+                { type: 'event', name: 'Set', inputs: [{ type: 'string' }] }
+            ];
+        });
+
+        it('lists the methods and events by their names and signatures', () => {
+            expect(obj._call).toEqual(['get', 'get()', 'get(uint256)', 'set(string)']);
+            expect(obj._sent).toEqual(['set', 'set(uint256)']);
+            expect(obj._events).toEqual(['onSet', 'onSet(uint256)', 'onSet(string)']);
+        });
+
+        it('does not subscribe to an overloaded event by its name', () => {
+            expect(() => obj.onSet(() => {})).toThrow('The Set event is overloaded');
+        });
+
+        it('fetches the events by the topic of the signature', async () => {
+            contract.getPastEvents.mockResolvedValue([]);
+            await obj.getEvents('Set(string)', { fromBlock: 25 });
+
+            expect(contract.getPastEvents).toBeCalledWith(expect.stringMatching(/^0x[0-9a-f]{64}$/), expect.anything());
+        });
+    });
+
+    describe('simulate', () => {
+        it('runs the transaction meta as a call', async () => {
+            const txMeta = { method: 'transfer' };
+            obj.txManager = {
+                getTxMeta: jest.fn(() => Promise.resolve(txMeta)),
+                simulate: jest.fn(() => Promise.resolve({ success: true, result: true }))
+            };
+
+            expect(await obj.simulate('transfer', address, 1, { value: 5 })).toEqual({ success: true, result: true });
+            expect(obj.txManager.getTxMeta).toBeCalledWith(expect.anything(), 'transfer', address, 1, { value: 5 });
+            expect(obj.txManager.simulate).toBeCalledWith(expect.anything(), txMeta);
+        });
+    });
+
+    describe('raw transactions', () => {
+        let txMeta;
+
+        beforeEach(() => {
+            txMeta = { method: 'sendEther' };
+            obj.txManager = {
+                getRawTxMeta: jest.fn(() => Promise.resolve(txMeta)),
+                submitTx: jest.fn(() => Promise.resolve([null, { status: true }]))
+            };
+            obj.sendWithRetry = jest.fn(() => Promise.resolve([null, { status: true }]));
+        });
+
+        it('sends ETH through the transaction manager', async () => {
+            expect(await obj.sendEther(address, '0.5', { gasPrice: 1 })).toEqual({ status: true });
+
+            expect(obj.txManager.getRawTxMeta).toBeCalledWith(expect.anything(), 'sendEther', { to: address, value: '500000000000000000' }, { gasPrice: 1 });
+            expect(obj.txManager.submitTx).toBeCalledWith(expect.anything(), txMeta, expect.anything(), undefined);
+        });
+
+        it('sends the raw calldata with retries', async () => {
+            const callback = jest.fn();
+            await obj.sendRaw(address, '0x1234', { retryOptions: { retry: 2 } }, callback);
+
+            expect(obj.txManager.getRawTxMeta).toBeCalledWith(expect.anything(), 'sendRaw', { to: address, data: '0x1234' });
+            expect(obj.sendWithRetry).toBeCalledWith(txMeta, { retry: 2 }, expect.anything(), undefined);
+            expect(callback).toBeCalledWith(null, { status: true });
+        });
+    });
+
+    describe('broadcast', () => {
+        it('broadcasts a signed transaction through the transaction manager', async () => {
+            obj.txManager = { broadcast: jest.fn(() => Promise.resolve([null, { status: true }])) };
+            const callback = jest.fn();
+
+            expect(await obj.broadcast('0x1234', callback)).toEqual({ status: true });
+            expect(obj.txManager.broadcast).toBeCalledWith(expect.anything(), '0x1234', expect.anything());
+            expect(callback).toBeCalledWith(null, { status: true });
+        });
+    });
+
+    describe('sendWithRetry', () => {
+        it('does not resend a cancelled transaction', async () => {
+            const manager = new TransactionManager(true);
+            const txMeta = { id: 1, from: address, to: address, method: 'sendEther', methodArgs: [], options: { gas: 21000 }, nonce: 3 };
+            const sender = {
+                w3: {
+                    eth: {
+                        sendTransaction: jest.fn(() => ({ once: (event, cb) => cb('0xcancel'), catch: () => {} })),
+                        getTransactionReceipt: jest.fn(hash => Promise.resolve(hash === '0xcancel'
+                            ? { transactionHash: hash, blockNumber: 5, gasUsed: 21000, status: true }
+                            : null))
+                    }
+                },
+                getGasPrice: jest.fn(() => Promise.resolve(100)),
+                gasUsed: 0,
+                totalGasUsed: 0
+            };
+
+            // the submitted transaction gets cancelled before it's mined
+            manager.submitTx = jest.fn(async (o, meta, defer) => {
+                Object.assign(meta, { status: 'submitted', txHash: '0xold' });
+                manager.tx.push(meta);
+                manager._senders.set(meta.id, { obj: sender, defer });
+
+                const replaced = new Promise(resolve => manager._replaced.set(meta.id, resolve));
+                await manager.cancel(meta.id);
+                return replaced;
+            });
+            obj.txManager = manager;
+            const verify = jest.fn(() => false);
+
+            const [err] = await obj.sendWithRetry(txMeta, { gasPrice: 1000, retry: 2, delay: 0, verify }, { emit: jest.fn() });
+
+            expect(err.message).toBe('Transaction 1 has been cancelled');
+            expect(manager.submitTx).toHaveBeenCalledTimes(1);
+            expect(verify).not.toBeCalled();
+            expect(txMeta).toMatchObject({ status: 'failed', cancelled: true });
+        });
+    });
+});
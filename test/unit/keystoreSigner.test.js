@@ -0,0 +1,34 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Web3js = require('web3');
+const KeystoreSigner = require('../../src/lib/signers/keystoreSigner');
+
+describe('KeystoreSigner unit tests', () => {
+    const privateKey = '0x4f3edf983ac636a65a842ce7c78d9aa706d3b113bce9c46f30d7d21715b23b1d';
+    const address = '0x90F8bf6A479f320ead074411a4B0e7944Ea8c9C1';
+    const keystore = new Web3js().eth.accounts.encrypt(privateKey, 'secret');
+    const file = path.join(os.tmpdir(), `keystore-${process.pid}.json`);
+
+    beforeAll(() => fs.writeFileSync(file, JSON.stringify(keystore)));
+
+    afterAll(() => fs.unlinkSync(file));
+
+    it('decrypts a keystore JSON', () => {
+        expect(new KeystoreSigner(keystore, 'secret').addresses).toEqual([address]);
+        expect(new KeystoreSigner(JSON.stringify(keystore), 'secret').addresses).toEqual([address]);
+    });
+
+    it('reads the keystore files', () => {
+        expect(new KeystoreSigner([file, keystore], 'secret').addresses).toEqual([address, address]);
+    });
+
+    it('throws if the password is wrong', () => {
+        expect(() => new KeystoreSigner(keystore, 'wrong')).toThrow();
+    });
+
+    it('throws if the keystore or the password is not defined', () => {
+        expect(() => new KeystoreSigner(null, 'secret')).toThrow('The keystore is not defined!');
+        expect(() => new KeystoreSigner(keystore)).toThrow('The keystore password is not defined!');
+    });
+});
@@ -0,0 +1,96 @@
+const { Logger, setLogger, getLogger, log } = require('../../src/lib/logger');
+
+describe('Logger unit tests', () => {
+    let sink, defaultLogger;
+
+    beforeAll(() => {
+        defaultLogger = getLogger();
+    });
+
+    beforeEach(() => {
+        sink = jest.fn();
+    });
+
+    afterEach(() => {
+        setLogger(defaultLogger);
+    });
+
+    it('is silent if the level is not defined', () => {
+        const logger = new Logger({ sinks: [sink] });
+        logger.error('message');
+
+        expect(sink).not.toBeCalled();
+    });
+
+    it('throws if the level is not supported', () => {
+        expect(() => new Logger({ level: 'trace' })).toThrow('"trace" log level is not supported!');
+    });
+
+    describe('LOG_LEVEL', () => {
+        const { LOG_LEVEL } = process.env;
+
+        afterEach(() => {
+            if (LOG_LEVEL === undefined) delete process.env.LOG_LEVEL;
+            else process.env.LOG_LEVEL = LOG_LEVEL;
+        });
+
+        it('is case-insensitive', () => {
+            process.env.LOG_LEVEL = 'DEBUG';
+
+            expect(new Logger().level).toBe('debug');
+        });
+
+        it('turns the logger off if the level is not supported', () => {
+            process.env.LOG_LEVEL = 'trace';
+            jest.spyOn(process, 'emitWarning').mockImplementation(() => {});
+
+            expect(new Logger().level).toBeNull();
+            expect(new Logger().level).toBeNull();
+            expect(process.emitWarning).toHaveBeenCalledTimes(1);
+
+            process.emitWarning.mockRestore();
+        });
+    });
+
+    it('skips the messages below the level', () => {
+        const logger = new Logger({ level: 'info', sinks: [sink] });
+        logger.debug('debug');
+        logger.info('info');
+        logger.error('error');
+
+        expect(sink).toBeCalledTimes(2);
+        expect(sink).toBeCalledWith(expect.stringMatching(/^\[.+\] \[info\] info$/), 'info');
+    });
+
+    it('writes json lines', () => {
+        const logger = new Logger({ level: 'debug', format: 'json', sinks: [sink] });
+        logger.warn('message');
+
+        const line = JSON.parse(sink.mock.calls[0][0]);
+        expect(line).toMatchObject({ level: 'warn', pid: process.pid, message: 'message' });
+    });
+
+    it('passes messages to a custom logger', () => {
+        const custom = { error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() };
+        setLogger(custom);
+
+        log.debug(() => 'lazy message');
+        log.error('message');
+
+        expect(custom.debug).toBeCalledWith('lazy message');
+        expect(custom.error).toBeCalledWith('message');
+    });
+
+    it('does not evaluate lazy messages if the level is disabled', () => {
+        const message = jest.fn();
+        setLogger(new Logger({ level: 'error', sinks: [sink] }));
+
+        log.debug(message);
+
+        expect(message).not.toBeCalled();
+    });
+
+    it('throws if a custom logger does not support the required methods', () => {
+        expect(() => setLogger({ error: () => {} })).toThrow('The logger must support the following methods');
+    });
+});
@@ -0,0 +1,57 @@
+const Web3js = require('web3');
+const _ = require('lodash');
+const PrivateKeySigner = require('../../src/lib/signers/privateKeySigner');
+
+describe('PrivateKeySigner unit tests', () => {
+    const privateKey = '0x4f3edf983ac636a65a842ce7c78d9aa706d3b113bce9c46f30d7d21715b23b1d';
+    const address = '0x90F8bf6A479f320ead074411a4B0e7944Ea8c9C1';
+    const tx = { from: address, to: address, value: '0x1', gas: '0x5208', gasPrice: '0x3b9aca00', nonce: '0x0', chainId: '0x1' };
+    const { accounts } = new Web3js().eth;
+
+    it('derives the addresses of the keys', async () => {
+        const signer = new PrivateKeySigner([privateKey, privateKey.slice(2)]);
+
+        expect(signer.addresses).toEqual([address, address]);
+        expect(await signer.getAddresses()).toEqual([address, address]);
+    });
+
+    it('throws if the key is not defined', () => {
+        expect(() => new PrivateKeySigner()).toThrow('The private key is not defined!');
+        expect(() => new PrivateKeySigner([])).toThrow('The private key is not defined!');
+    });
+
+    it('does not expose the keys', () => {
+        const signer = new PrivateKeySigner(privateKey);
+
+        expect(Object.keys(signer)).toEqual(['addresses']);
+        expect(JSON.stringify(signer)).not.toContain(privateKey.slice(2));
+    });
+
+    it('signs a transaction', async () => {
+        const raw = await new PrivateKeySigner(privateKey).signTransaction(tx);
+
+        expect(accounts.recoverTransaction(raw)).toBe(address);
+    });
+
+    it('rejects the type-2 transactions', () => {
+        const signer = new PrivateKeySigner(privateKey);
+        const type2 = Object.assign(_.omit(tx, 'gasPrice'), { maxFeePerGas: '0x3b9aca00', maxPriorityFeePerGas: '0x1' });
+
+        expect(signer.legacyOnly).toBe(true);
+        return expect(signer.signTransaction(type2))
+            .rejects.toThrow('PrivateKeySigner signs the legacy transactions only, the type-2 fees are not supported!');
+    });
+
+    it('signs a message', async () => {
+        const signature = await new PrivateKeySigner(privateKey).sign(address.toLowerCase(), '0x1234');
+
+        expect(accounts.recover('0x1234', signature)).toBe(address);
+    });
+
+    it('rejects the unknown accounts', () => {
+        const from = '0x0000000000000000000000000000000000000001';
+
+        return expect(new PrivateKeySigner(privateKey).signTransaction(Object.assign({}, tx, { from })))
+            .rejects.toThrow(`The ${from} account is not available to the signer!`);
+    });
+});
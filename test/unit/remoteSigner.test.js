@@ -0,0 +1,97 @@
+const http = require('http');
+const RemoteSigner = require('../../src/lib/signers/remoteSigner');
+
+describe('RemoteSigner unit tests', () => {
+    const address = '0x90F8bf6A479f320ead074411a4B0e7944Ea8c9C1';
+    let server, url, requests, answers;
+
+    // a local stub of the remote signer
+    beforeAll(done => {
+        server = http.createServer((request, response) => {
+            let body = '';
+            request.on('data', chunk => (body += chunk));
+            request.on('end', () => {
+                const payload = JSON.parse(body);
+                requests.push({ payload, headers: request.headers });
+
+                const answer = answers[payload.method];
+                const message = answer instanceof Error
+                    ? { jsonrpc: '2.0', id: payload.id, error: { code: -32000, message: answer.message } }
+                    : { jsonrpc: '2.0', id: payload.id, result: answer };
+
+                response.end(JSON.stringify(message));
+            });
+        });
+
+        server.listen(0, '127.0.0.1', () => {
+            url = `http://127.0.0.1:${server.address().port}`;
+            done();
+        });
+    });
+
+    afterAll(done => server.close(done));
+
+    beforeEach(() => {
+        requests = [];
+        answers = {
+            eth_accounts: [address.toLowerCase()],
+            eth_signTransaction: '0xsigned',
+            eth_sign: '0xsignature'
+        };
+    });
+
+    it('throws if the URL is not defined', () => {
+        expect(() => new RemoteSigner()).toThrow('The remote signer URL is not defined!');
+    });
+
+    it('requests the accounts once', async () => {
+        const signer = new RemoteSigner(url);
+
+        expect(await signer.getAddresses()).toEqual([address]);
+        expect(await signer.getAddresses()).toEqual([address]);
+        expect(signer.addresses).toEqual([address]);
+        expect(requests).toHaveLength(1);
+    });
+
+    it('signs a transaction', async () => {
+        const signer = new RemoteSigner(url);
+        const tx = { from: address, to: address, nonce: '0x1', gas: '0x5208', gasPrice: '0x1', chainId: '0x1' };
+
+        expect(await signer.signTransaction(tx)).toBe('0xsigned');
+        expect(requests[0].payload).toMatchObject({ jsonrpc: '2.0', method: 'eth_signTransaction', params: [tx] });
+    });
+
+    it('hex-encodes the type-2 fees', async () => {
+        await new RemoteSigner(url).signTransaction({ from: address, maxFeePerGas: 250, maxPriorityFeePerGas: '50' });
+
+        expect(requests[0].payload.params).toEqual([{ from: address, maxFeePerGas: '0xfa', maxPriorityFeePerGas: '0x32' }]);
+    });
+
+    it('takes the payload of a { raw, tx } answer', async () => {
+        answers.eth_signTransaction = { raw: '0xraw', tx: {} };
+
+        expect(await new RemoteSigner(url).signTransaction({})).toBe('0xraw');
+    });
+
+    it('signs a message', async () => {
+        expect(await new RemoteSigner(url).sign(address, '0x1234')).toBe('0xsignature');
+        expect(requests[0].payload).toMatchObject({ method: 'eth_sign', params: [address, '0x1234'] });
+    });
+
+    it('sends the custom headers', async () => {
+        await new RemoteSigner(url, { headers: { Authorization: 'Bearer token' } }).sign(address, '0x1234');
+
+        expect(requests[0].headers.authorization).toBe('Bearer token');
+    });
+
+    it('rejects if the signer answers with an error', () => {
+        answers.eth_sign = new Error('rejected by the user');
+
+        return expect(new RemoteSigner(url).sign(address, '0x1234'))
+            .rejects.toThrow('The remote signer has rejected eth_sign: rejected by the user');
+    });
+
+    it('rejects if the signer is not available', () => {
+        return expect(new RemoteSigner('http://127.0.0.1:1').getAddresses()).rejects.toThrow('ECONNREFUSED');
+    });
+});
@@ -0,0 +1,164 @@
+const Events = require('events');
+const SignerProvider = require('../../src/lib/providers/signerProvider');
+
+describe('SignerProvider unit tests', () => {
+    const address = '0x90F8bf6A479f320ead074411a4B0e7944Ea8c9C1';
+    const results = {
+        eth_getTransactionCount: '0x5',
+        eth_chainId: '0x1',
+        eth_estimateGas: '0x5208',
+        eth_gasPrice: '0x3b9aca00',
+        eth_sendRawTransaction: '0xhash',
+        eth_blockNumber: '0x10',
+        eth_getBlockByNumber: { number: '0x10', baseFeePerGas: '0x64' }
+    };
+
+    let provider, signer, signerProvider;
+
+    const send = payload => new Promise((resolve, reject) =>
+        signerProvider.send(payload, (error, response) => (error ? reject(error) : resolve(response))));
+
+    beforeEach(() => {
+        provider = {
+            send: jest.fn((payload, callback) => callback(null, { jsonrpc: '2.0', id: payload.id, result: results[payload.method] })),
+            on: jest.fn()
+        };
+
+        signer = {
+            addresses: [address],
+            getAddresses: jest.fn(() => Promise.resolve([address])),
+            signTransaction: jest.fn(() => Promise.resolve('0xsigned')),
+            sign: jest.fn(() => Promise.resolve('0xsignature'))
+        };
+
+        signerProvider = new SignerProvider(provider, signer);
+    });
+
+    it('throws if the signer is not defined', () => {
+        expect(() => new SignerProvider(provider)).toThrow('The signer is not defined!');
+    });
+
+    it('passes the other requests to the provider', async () => {
+        const payload = { jsonrpc: '2.0', id: 1, method: 'eth_blockNumber', params: [] };
+
+        expect(await send(payload)).toEqual({ jsonrpc: '2.0', id: 1, result: '0x10' });
+        expect(provider.send).toBeCalledWith(payload, expect.any(Function));
+    });
+
+    it('takes the accounts from the signer', async () => {
+        expect(signerProvider.addresses).toEqual([address]);
+        expect(await send({ jsonrpc: '2.0', id: 1, method: 'eth_accounts', params: [] }))
+            .toEqual({ jsonrpc: '2.0', id: 1, result: [address] });
+        expect(provider.send).not.toBeCalled();
+    });
+
+    it('signs and sends a transaction, the missing fields are filled in', async () => {
+        const tx = { from: address, to: address, data: '0x' };
+        const response = await send({ jsonrpc: '2.0', id: 7, method: 'eth_sendTransaction', params: [tx] });
+
+        expect(signer.signTransaction).toBeCalledWith(Object.assign({
+            nonce: '0x5', chainId: '0x1', gas: '0x5208', gasPrice: '0x3b9aca00'
+        }, tx));
+        expect(provider.send).toBeCalledWith({ jsonrpc: '2.0', id: 7, method: 'eth_sendRawTransaction', params: ['0xsigned'] }, expect.any(Function));
+        expect(response).toEqual({ jsonrpc: '2.0', id: 7, result: '0xhash' });
+    });
+
+    it('keeps the defined fields and the fees of a type-2 transaction', async () => {
+        const tx = { from: address, to: address, nonce: '0x1', chainId: '0x5', gas: '0x1', maxFeePerGas: '0x2', maxPriorityFeePerGas: '0x1' };
+        await send({ jsonrpc: '2.0', id: 1, method: 'eth_sendTransaction', params: [tx] });
+
+        expect(signer.signTransaction).toBeCalledWith(tx);
+        expect(provider.send).toHaveBeenCalledTimes(1);
+    });
+
+    it('converts a type-2 transaction for a legacy-only signer', async () => {
+        signer.legacyOnly = true;
+        const tx = { from: address, to: address, nonce: '0x1', chainId: '0x1', gas: '0x1' };
+
+        await send({ jsonrpc: '2.0', id: 1, method: 'eth_sendTransaction', params: [Object.assign({ maxFeePerGas: '0xfa', maxPriorityFeePerGas: '0x32' }, tx)] });
+        await send({ jsonrpc: '2.0', id: 2, method: 'eth_sendTransaction', params: [Object.assign({ maxFeePerGas: '0x64', maxPriorityFeePerGas: '0x32' }, tx)] });
+
+        // the base fee of the latest block and the tip, capped by the maxFeePerGas
+        expect(signer.signTransaction.mock.calls).toEqual([
+            [Object.assign({ gasPrice: '0x96' }, tx)],
+            [Object.assign({ gasPrice: '0x64' }, tx)]
+        ]);
+        expect(provider.send).toBeCalledWith(expect.objectContaining({ method: 'eth_getBlockByNumber', params: ['latest', false] }), expect.any(Function));
+    });
+
+    it('requests the chain id once', async () => {
+        const tx = { from: address, to: address, nonce: '0x1', gas: '0x1', gasPrice: '0x1' };
+        await send({ jsonrpc: '2.0', id: 1, method: 'eth_signTransaction', params: [tx] });
+        await send({ jsonrpc: '2.0', id: 2, method: 'eth_signTransaction', params: [tx] });
+
+        const chainIdRequests = provider.send.mock.calls.filter(([payload]) => payload.method === 'eth_chainId');
+        expect(chainIdRequests).toHaveLength(1);
+    });
+
+    it('signs a transaction without sending it', async () => {
+        const tx = { from: address, to: address, nonce: '0x1', gas: '0x1', gasPrice: '0x1', chainId: '0x1' };
+
+        expect(await send({ jsonrpc: '2.0', id: 1, method: 'eth_signTransaction', params: [tx] }))
+            .toEqual({ jsonrpc: '2.0', id: 1, result: { raw: '0xsigned', tx } });
+        expect(provider.send).not.toBeCalled();
+    });
+
+    it('signs the messages', async () => {
+        await send({ jsonrpc: '2.0', id: 1, method: 'eth_sign', params: [address, '0x1234'] });
+        await send({ jsonrpc: '2.0', id: 2, method: 'personal_sign', params: ['0x5678', address] });
+
+        expect(signer.sign).toBeCalledWith(address, '0x1234');
+        expect(signer.sign).toBeCalledWith(address, '0x5678');
+    });
+
+    it('answers the failures of the signer with a JSON-RPC error', async () => {
+        signer.sign = jest.fn(() => Promise.reject(new Error('The account is not available to the signer!')));
+
+        expect(await send({ jsonrpc: '2.0', id: 3, method: 'eth_sign', params: [address, '0x1234'] })).toEqual({
+            jsonrpc: '2.0',
+            id: 3,
+            error: { code: -32000, message: 'The account is not available to the signer!' }
+        });
+    });
+
+    it('handles the batches with the signer requests one by one', async () => {
+        const response = await send([
+            { jsonrpc: '2.0', id: 1, method: 'eth_accounts', params: [] },
+            { jsonrpc: '2.0', id: 2, method: 'eth_blockNumber', params: [] }
+        ]);
+
+        expect(response).toEqual([
+            { jsonrpc: '2.0', id: 1, result: [address] },
+            { jsonrpc: '2.0', id: 2, result: '0x10' }
+        ]);
+    });
+
+    it('attaches the listeners to a restored provider', () => {
+        const callback = jest.fn();
+        signerProvider.on('data', callback);
+
+        const restored = { send: jest.fn(), on: jest.fn() };
+        signerProvider.setProvider(restored);
+
+        expect(provider.on).toBeCalledWith('data', callback);
+        expect(restored.on).toBeCalledWith('data', callback);
+        expect(signerProvider.provider).toBe(restored);
+    });
+
+    it('takes the restored connection and the events of a WebSocket provider', () => {
+        const wsEmitter = new Events();
+        signerProvider = new SignerProvider(provider, signer, wsEmitter);
+        const restored = { send: jest.fn(), on: jest.fn() };
+        const onReset = jest.fn();
+        const onConnected = jest.fn();
+
+        signerProvider.emitter.on('resetProvider', onReset);
+        signerProvider.emitter.on('connected', onConnected);
+        wsEmitter.emit('connected', { uri: 'ws://host' });
+        wsEmitter.emit('resetProvider', restored);
+
+        expect(signerProvider.provider).toBe(restored);
+        expect(onConnected).toBeCalledWith({ uri: 'ws://host' });
+        expect(onReset).toBeCalledWith();
+    });
+});
@@ -0,0 +1,83 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const solc = require('solc');
+const setupMethods = require('solc-wrapper/wrapper');
+const { getCompiler, getPragmas, getLocalVersions } = require('../../src/lib/utils/solcVersions');
+
+jest.mock('solc');
+jest.mock('solc-wrapper/wrapper', () => jest.fn());
+
+describe('Solc versions unit tests', () => {
+    let compilersDir;
+
+    const addBuild = version => {
+        fs.writeFileSync(path.join(compilersDir, `soljson-${version}.js`), `module.exports = { id: '${version}' };`);
+    };
+
+    const source = pragma => ({ 'Token.sol': { content: `pragma solidity ${pragma};\ncontract Token {}` } });
+    const findImports = () => ({ error: 'File not found' });
+
+    beforeEach(() => {
+        compilersDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eth-sci-solc-'));
+        ['v0.4.24+commit.e67f0147', 'v0.6.12+commit.27d51765', 'v0.8.4+commit.c7e474f2', 'v0.8.5-nightly.2021.5.12+commit.98e2b4e5']
+            .forEach(addBuild);
+
+        solc.version.mockReturnValue('0.5.5+commit.47a71e8f.Emscripten.clang');
+        setupMethods.mockImplementation(soljson => ({ id: soljson.id, compile: jest.fn() }));
+    });
+
+    afterEach(() => {
+        fs.rmdirSync(compilersDir, { recursive: true });
+    });
+
+    it('lists the local release builds', () => {
+        expect(getLocalVersions(compilersDir).map(item => item.version).sort()).toEqual(['0.4.24', '0.6.12', '0.8.4']);
+    });
+
+    it('selects the highest version that satisfies the pragma', () => {
+        expect(getCompiler({ compilersDir, sources: source('>=0.6.0 <0.9.0'), findImports }))
+            .toMatchObject({ id: 'v0.8.4+commit.c7e474f2' });
+    });
+
+    it('uses the bundled compiler if it satisfies the pragma', () => {
+        expect(getCompiler({ compilersDir, sources: source('^0.5.0'), findImports })).toBe(solc);
+    });
+
+    it('respects the pragmas of all the sources and their imports', () => {
+        const sources = {
+            'contracts/Token.sol': { content: 'pragma solidity >=0.4.0;\nimport "./Ownable.sol";' }
+        };
+        const imports = jest.fn(() => ({ contents: 'pragma solidity ^0.6.0; // ^0.8.0' }));
+
+        expect(getCompiler({ compilersDir, sources, findImports: imports })).toMatchObject({ id: 'v0.6.12+commit.27d51765' });
+        expect(imports).toBeCalledWith('contracts/Ownable.sol');
+    });
+
+    it('loads the specified version', () => {
+        expect(getCompiler({ compilersDir, specifiedVersion: 'v0.4.24+commit.e67f0147', sources: source('^0.8.0') }))
+            .toMatchObject({ id: 'v0.4.24+commit.e67f0147' });
+    });
+
+    it('passes the import callback to the wrapper of a local build', () => {
+        const compiler = getCompiler({ compilersDir, specifiedVersion: '0.6.12', sources: source('^0.6.0') });
+        const { compile } = setupMethods.mock.results.find(result => result.value.id === 'v0.6.12+commit.27d51765').value;
+
+        compiler.compile('{}', findImports);
+        expect(compile).toBeCalledWith('{}', { import: findImports });
+    });
+
+    it('throws and lists the available versions if nothing matches', () => {
+        expect(() => getCompiler({ compilersDir, sources: source('^0.7.0'), findImports }))
+            .toThrow('There is no compiler that satisfies "^0.7.0" (Token.sol). Available versions:\n["0.8.4","0.6.12","0.5.5","0.4.24"]');
+    });
+
+    it('collects the pragmas skipping the comments', () => {
+        const sources = {
+            'A.sol': { content: '/* pragma solidity ^0.4.0; */\npragma solidity ^0.5.0;\nimport {B} from "./B.sol";' },
+            'B.sol': { content: 'pragma solidity >=0.5.0;' }
+        };
+
+        expect(getPragmas(sources, findImports)).toEqual({ 'A.sol': ['^0.5.0'], 'B.sol': ['>=0.5.0'] });
+    });
+});
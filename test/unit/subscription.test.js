@@ -22,7 +22,8 @@ describe('Subscription module unit tests', () => {
             events: {
                 [event]: jest.fn(() => ({ unsubscribe:  mockUnsubscribe}))
             },
-            address: '0x0'
+            address: '0x0',
+            w3: { eth: { getBlockNumber: jest.fn(async () => 10) } }
         };
 
         sub = new Subscription(obj, event, ...args);
@@ -35,7 +36,7 @@ describe('Subscription module unit tests', () => {
         expect(sub.target).toBe(obj.events);
         expect(sub.address).toBe('0x0');
         expect(sub.event).toBe(event);
-        expect(sub.args).toEqual(args);
+        expect(sub.args).toEqual([options, expect.any(Function)]);
     });
 
     it('subscribes to event and passes proper arguments', () => {
@@ -44,7 +45,7 @@ describe('Subscription module unit tests', () => {
         expect(sub.event).toBe(event);
         expect(sub.subscription).toBeDefined();
         expect(sub.unsibscribed).not.toBeDefined();
-        expect(obj.events[event]).toBeCalledWith(...args);
+        expect(obj.events[event]).toBeCalledWith(options, expect.any(Function));
     });
 
     it('removes subscription', () => {
@@ -79,4 +80,183 @@ describe('Subscription module unit tests', () => {
 
         expect(() => sub.subscribe()).toThrow('Event is not defined')
     })
+
+    describe('confirmations and reorgs', () => {
+        let mockBlocksUnsubscribe, onRemoved;
+
+        const emit = data => obj.events[event].mock.calls[0][1](null, data);
+        const mine = number => obj.w3.eth.subscribe.mock.calls[0][1](null, { number });
+        const log = (blockNumber, logIndex, removed) => ({ transactionHash: `0x${blockNumber}`, blockNumber, logIndex, removed });
+
+        beforeEach(() => {
+            callback = jest.fn();
+            onRemoved = jest.fn();
+            mockBlocksUnsubscribe = jest.fn();
+            obj.w3.eth.subscribe = jest.fn(() => ({ unsubscribe: mockBlocksUnsubscribe }));
+            sub = new Subscription(obj, event, { confirmations: 2, onRemoved, filter: { a: 1 } }, callback);
+            sub.subscribe();
+            return sub.restored;
+        });
+
+        it('passes only the web3 options to the event subscription', () => {
+            expect(obj.events[event]).toBeCalledWith({ filter: { a: 1 } }, expect.any(Function));
+            expect(obj.w3.eth.subscribe).toBeCalledWith('newBlockHeaders', expect.any(Function));
+        });
+
+        it('delivers the events after the confirmations in order', () => {
+            emit(log(11, 0));
+            emit(log(10, 1));
+            emit(log(10, 0));
+
+            mine(11);
+            expect(callback).not.toBeCalled();
+
+            mine(12);
+            expect(callback.mock.calls).toEqual([[null, log(10, 0)], [null, log(10, 1)]]);
+
+            mine(13);
+            expect(callback).toHaveBeenLastCalledWith(null, log(11, 0));
+            expect(callback).toBeCalledTimes(3);
+        });
+
+        it('drops the events removed before the confirmation', () => {
+            emit(log(10, 0));
+            emit(log(10, 0, true));
+            mine(12);
+
+            expect(callback).not.toBeCalled();
+            expect(onRemoved).not.toBeCalled();
+        });
+
+        it('reports the delivered events removed by a reorg', () => {
+            const removed = jest.fn();
+            sub.on('removed', removed);
+
+            emit(log(10, 0));
+            mine(12);
+            emit(log(10, 0, true));
+
+            expect(onRemoved).toBeCalledWith(log(10, 0, true));
+            expect(removed).toBeCalledWith(log(10, 0, true));
+        });
+
+        it('delivers a removed event again once it is included again', () => {
+            emit(log(10, 0));
+            mine(12);
+            emit(log(10, 0, true));
+            emit(log(10, 0));
+            mine(12);
+
+            expect(callback.mock.calls).toEqual([[null, log(10, 0)], [null, log(10, 0)]]);
+        });
+
+        it('passes the errors to the callback', () => {
+            obj.events[event].mock.calls[0][1]('error');
+
+            expect(callback).toBeCalledWith('error', undefined);
+        });
+
+        it('removes the block subscription', () => {
+            emit(log(10, 0));
+            sub.unsubscribe();
+
+            expect(mockBlocksUnsubscribe).toBeCalled();
+            expect(sub.pending.size).toBe(0);
+        });
+
+        it('throws if the number of confirmations is negative', () => {
+            expect(() => new Subscription(obj, event, { confirmations: -1 }, callback))
+                .toThrow('The number of confirmations must not be negative!');
+        });
+    });
+
+    describe('checkpoints', () => {
+        let store, past;
+
+        const emit = data => obj.events[event].mock.calls[obj.events[event].mock.calls.length - 1][1](null, data);
+        const log = (blockNumber, logIndex) => ({ transactionHash: `0x${blockNumber}`, blockNumber, logIndex });
+
+        beforeEach(() => {
+            callback = jest.fn();
+            past = [];
+            obj.iterateEvents = jest.fn(async function* iterate() { yield* past; });
+            store = { getCheckpoint: jest.fn(() => null), saveCheckpoint: jest.fn() };
+            sub = new Subscription(obj, event, { fromBlock: 5, checkpointStore: store, checkpointId: 'id' }, callback);
+        });
+
+        it('starts from the fromBlock and saves the last delivered event', async () => {
+            sub.subscribe();
+            await sub.restored;
+            emit(log(7, 1));
+
+            expect(sub.checkpoint).toEqual({ blockNumber: 7, keys: ['0x7:1'] });
+            await Promise.resolve();
+            expect(store.saveCheckpoint).toBeCalledWith('id', { blockNumber: 7, keys: ['0x7:1'] });
+        });
+
+        it('backfills the missed events after a reconnect without duplicates', async () => {
+            sub.subscribe();
+            await sub.restored;
+            emit(log(7, 1));
+
+            past = [log(7, 1), log(8, 0), log(9, 0)];
+            sub.subscribe();
+            emit(log(9, 0));
+            emit(log(10, 0));
+            await sub.restored;
+
+            expect(obj.iterateEvents).toBeCalledWith(event, { fromBlock: 7, filter: undefined, topics: undefined });
+            expect(obj.events[event]).toHaveBeenLastCalledWith({}, expect.any(Function));
+            expect(callback.mock.calls.map(call => call[1])).toEqual([log(7, 1), log(8, 0), log(9, 0), log(10, 0)]);
+        });
+
+        it('removes the reorganized events from the checkpoint', async () => {
+            sub.subscribe();
+            await sub.restored;
+            emit(log(7, 1));
+            emit(log(8, 0));
+
+            emit(Object.assign(log(7, 1), { removed: true }));
+            expect(sub.checkpoint).toEqual({ blockNumber: 7, keys: [] });
+            await Promise.resolve();
+            expect(store.saveCheckpoint).toHaveBeenLastCalledWith('id', { blockNumber: 7, keys: [] });
+
+            emit(log(7, 1));
+            expect(callback.mock.calls.map(call => call[1])).toEqual([log(7, 1), log(8, 0), Object.assign(log(7, 1), { removed: true }), log(7, 1)]);
+        });
+
+        it('delivers the live events queued before the first start block is known', async () => {
+            obj.w3.eth.getBlockNumber = jest.fn(async () => 10);
+            sub = new Subscription(obj, event, { checkpointStore: store }, callback);
+
+            sub.subscribe();
+            emit(log(9, 0));
+            await sub.restored;
+
+            expect(sub.checkpoint).toEqual({ blockNumber: 9, keys: ['0x9:0'] });
+            expect(callback.mock.calls).toEqual([[null, log(9, 0)]]);
+        });
+
+        it('restores the checkpoint from the store', async () => {
+            store.getCheckpoint.mockReturnValue({ blockNumber: 8, keys: ['0x8:0'] });
+            past = [log(8, 0), log(8, 1)];
+
+            sub.subscribe();
+            await sub.restored;
+
+            expect(store.getCheckpoint).toBeCalledWith('id');
+            expect(callback.mock.calls).toEqual([[null, log(8, 1)]]);
+        });
+
+        it('passes the backfill error to the callback', async () => {
+            store.getCheckpoint.mockReturnValue({ blockNumber: 8, keys: [] });
+            obj.iterateEvents = jest.fn(async function* iterate() { throw new Error('error'); });
+
+            sub.subscribe();
+            await sub.restored;
+
+            expect(callback).toBeCalledWith(new Error('error'));
+            expect(sub.backfilling).toBe(false);
+        });
+    });
 });
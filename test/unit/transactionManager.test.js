@@ -0,0 +1,802 @@
+const TransactionManager = require('../../src/lib/modules/transactionManager');
+const MemoryStore = require('../../src/lib/stores/memoryStore');
+const web3Utils = require('web3-utils');
+
+describe('TransactionManager unit tests', () => {
+    const address = '0x90F8bf6A479f320ead074411a4B0e7944Ea8c9C1';
+
+    describe('store', () => {
+        let store, state;
+
+        beforeEach(() => {
+            state = {
+                tx: [
+                    { id: 1, from: address, nonce: 1, status: 'confirmed' },
+                    { id: 2, from: address, nonce: 2, status: 'submitted', txHash: '0x2', options: { gasPrice: 1 } },
+                    { id: 3, from: address, status: 'pending' }
+                ],
+                stat: { retries: 2, totalGasUsed: '100', totalEthSpent: '0.5' },
+                nonceInUse: { [address]: [7] }
+            };
+
+            store = new MemoryStore();
+            store.load = jest.fn(() => state);
+            store.saveTx = jest.fn();
+            store.saveStat = jest.fn();
+        });
+
+        it('restores the transactions and the stat', () => {
+            const manager = new TransactionManager(true, store);
+
+            expect(manager.getTxStat()).toEqual({
+                submitted: 1,
+                signed: 0,
+                pending: 0,
+                failed: 1,
+                confirmed: 1,
+                retries: 2,
+                totalGasUsed: '100',
+                totalEthSpent: '0.5'
+            });
+            expect(manager._nonceInUse[address].has(7)).toBe(true);
+        });
+
+        it('does not change the store while transactions are in flight', () => {
+            const manager = new TransactionManager(true, store);
+
+            expect(() => manager.setStore(new MemoryStore()))
+                .toThrow('The store can\'t be changed while 1 transaction(s) are pending or submitted!');
+            expect(manager.store).toBe(store);
+        });
+
+        it('marks the pending transactions as failed', () => {
+            new TransactionManager(true, store);
+
+            expect(store.saveTx).toBeCalledWith({ id: 3, from: address, status: 'failed' });
+        });
+
+        it('does not reuse the restored nonces', () => {
+            const manager = new TransactionManager(true, store);
+            const txList = manager.getSubmittedTransactions(address);
+
+            expect(manager._getHighestContinuousFrom(txList, 2, address)).toBe(3);
+        });
+
+        it('saves the updated transaction and the stat', () => {
+            const manager = new TransactionManager(true, store);
+            const txMeta = manager.tx[1];
+
+            manager.updateTx(txMeta, 'confirmed');
+
+            expect(store.saveTx).toBeCalledWith(expect.objectContaining({ id: 2, status: 'confirmed' }));
+            expect(store.saveStat).toBeCalledWith({ retries: 2, totalGasUsed: '100', totalEthSpent: '0.5' });
+        });
+
+        it('reconciles the submitted transactions', async () => {
+            const manager = new TransactionManager(true, store);
+            const w3 = {
+                eth: {
+                    getTransactionReceipt: jest.fn(() => Promise.resolve({ blockNumber: 10, gasUsed: 50, status: true })),
+                    getTransactionCount: jest.fn()
+                }
+            };
+
+            const stat = await manager.reconcile(w3);
+
+            expect(w3.eth.getTransactionReceipt).toBeCalledWith('0x2');
+            expect(stat.confirmed).toBe(2);
+            expect(stat.totalGasUsed).toBe('150');
+        });
+    });
+
+    describe('speedUp and cancel', () => {
+        let manager, obj, txMeta, receipts;
+
+        beforeEach(() => {
+            manager = new TransactionManager(true);
+            receipts = {};
+
+            obj = {
+                w3: {
+                    eth: {
+                        sendTransaction: jest.fn(() => ({
+                            once: (event, cb) => cb('0xnew'),
+                            catch: () => {}
+                        })),
+                        getTransactionReceipt: jest.fn(hash => Promise.resolve(receipts[hash] || null))
+                    }
+                },
+                contract: {
+                    methods: {
+                        transfer: jest.fn(() => ({ encodeABI: () => '0xdata' }))
+                    }
+                },
+                getGasPrice: jest.fn(() => Promise.resolve(100)),
+                gasUsed: 0,
+                totalGasUsed: 0
+            };
+
+            txMeta = {
+                id: 1,
+                from: address,
+                to: '0xcontract',
+                method: 'transfer',
+                methodArgs: ['0xto', 1],
+                options: { gas: 50000, gasPrice: 1000 },
+                nonce: 3,
+                txHash: '0xold',
+                status: 'submitted'
+            };
+
+            manager.tx.push(txMeta);
+            manager._senders.set(1, { obj, defer: { emit: jest.fn() } });
+        });
+
+        it('throws if the transaction is not found', () => {
+            return expect(manager.speedUp(2)).rejects.toThrow('Transaction 2 is not found!');
+        });
+
+        it('throws if the transaction is not submitted', () => {
+            txMeta.status = 'confirmed';
+            return expect(manager.cancel(1)).rejects.toThrow('only submitted transactions can be replaced');
+        });
+
+        it('throws if the gasPrice is too low for a replacement', () => {
+            return expect(manager.speedUp(1, { gasPrice: 1050 })).rejects.toThrow('at least 1100 wei');
+        });
+
+        it('resends the same call with the same nonce and a higher gasPrice', async () => {
+            receipts['0xnew'] = { transactionHash: '0xnew', blockNumber: 5, gasUsed: 10, status: true };
+
+            const receipt = await manager.speedUp(1);
+
+            expect(obj.w3.eth.sendTransaction).toBeCalledWith({
+                from: address,
+                to: '0xcontract',
+                value: undefined,
+                gas: 50000,
+                data: '0xdata',
+                gasPrice: 1100,
+                nonce: 3
+            });
+            expect(receipt.transactionHash).toBe('0xnew');
+            expect(txMeta).toMatchObject({ status: 'confirmed', txHash: '0xnew', replacedBy: '0xnew', gasUsed: 10 });
+        });
+
+        it('tracks the original transaction if it gets mined first', async () => {
+            receipts['0xold'] = { transactionHash: '0xold', blockNumber: 5, gasUsed: 10, status: true };
+
+            await manager.speedUp(1, { gasPrice: 2000 });
+
+            expect(txMeta.txHash).toBe('0xold');
+            expect(txMeta.replacedBy).not.toBeDefined();
+            expect(txMeta.options.gasPrice).toBe(1000);
+        });
+
+        it('cancels a transaction by sending 0 ETH to the sender', async () => {
+            receipts['0xnew'] = { transactionHash: '0xnew', blockNumber: 5, gasUsed: 21000, status: true };
+
+            await manager.cancel(1);
+
+            expect(obj.w3.eth.sendTransaction).toBeCalledWith({
+                from: address,
+                to: address,
+                value: 0,
+                gas: 21000,
+                gasPrice: 1100,
+                nonce: 3
+            });
+            expect(txMeta.status).toBe('failed');
+            expect(txMeta.replacements).toEqual([{ type: 'cancel', txHash: '0xnew', gasPrice: 1100 }]);
+        });
+
+        it('resolves the pending submission once a replacement is mined', async () => {
+            receipts['0xnew'] = { transactionHash: '0xnew', blockNumber: 5, gasUsed: 10, status: true };
+            const replaced = new Promise(resolve => manager._replaced.set(1, resolve));
+
+            await manager.speedUp(1);
+
+            await expect(replaced).resolves.toEqual([null, receipts['0xnew']]);
+        });
+    });
+
+    describe('fee market', () => {
+        let manager, obj;
+
+        beforeEach(() => {
+            manager = new TransactionManager(true);
+            obj = {
+                accounts: [address],
+                wallet: address,
+                address: '0xcontract',
+                gasLimit: '6000000',
+                gasPrice: null,
+                feeMarket: true,
+                _call: [],
+                getGasPrice: jest.fn(() => Promise.resolve(100)),
+                getFeeData: jest.fn(() => Promise.resolve({ baseFeePerGas: 100, maxFeePerGas: 250, maxPriorityFeePerGas: 50 }))
+            };
+        });
+
+        it('builds a legacy transaction by default', async () => {
+            obj.feeMarket = false;
+            const txMeta = await manager.getTxMeta(obj, 'transfer');
+
+            expect(obj.getFeeData).not.toBeCalled();
+            expect(txMeta.options.gasPrice).toBe(120);
+        });
+
+        it('builds a type-2 transaction by the fees of the call', async () => {
+            obj.feeMarket = false;
+            const txMeta = await manager.getTxMeta(obj, 'transfer', { maxPriorityFeePerGas: 300 });
+
+            expect(txMeta.options).toMatchObject({ maxFeePerGas: 300, maxPriorityFeePerGas: 300 });
+        });
+
+        it('builds a type-2 transaction if the block has a base fee', async () => {
+            const txMeta = await manager.getTxMeta(obj, 'transfer', '0xto', 1);
+
+            expect(txMeta.options).toMatchObject({ maxFeePerGas: 250, maxPriorityFeePerGas: 50 });
+            expect(txMeta.options.gasPrice).not.toBeDefined();
+        });
+
+        it('keeps the custom fees', async () => {
+            const txMeta = await manager.getTxMeta(obj, 'transfer', { maxPriorityFeePerGas: 300 });
+
+            expect(txMeta.options).toMatchObject({ maxFeePerGas: 300, maxPriorityFeePerGas: 300 });
+        });
+
+        it('builds a legacy transaction if the gasPrice is defined', async () => {
+            const txMeta = await manager.getTxMeta(obj, 'transfer', { gasPrice: 10 });
+
+            expect(obj.getFeeData).not.toBeCalled();
+            expect(txMeta.options.gasPrice).toBe(10);
+            expect(txMeta.options.maxFeePerGas).not.toBeDefined();
+        });
+
+        it('builds a legacy transaction if the block has no base fee', async () => {
+            obj.getFeeData = jest.fn(() => Promise.resolve(null));
+            const txMeta = await manager.getTxMeta(obj, 'transfer');
+
+            expect(txMeta.options.gasPrice).toBe(120);
+        });
+
+        it('throws if the block has no base fee and the fees are incomplete', () => {
+            obj.getFeeData = jest.fn(() => Promise.resolve(null));
+
+            return expect(manager.getTxMeta(obj, 'transfer', { maxFeePerGas: 10 }))
+                .rejects.toThrow('both maxFeePerGas and maxPriorityFeePerGas must be defined');
+        });
+
+        it('uses the effectiveGasPrice for the expenses tracking', () => {
+            const txMeta = { options: { maxFeePerGas: 250, maxPriorityFeePerGas: 50 } };
+            const gasPrice = manager._getEffectiveGasPrice(txMeta, { effectiveGasPrice: '0x96' });
+
+            manager._calculateGasExpenses({ totalGasUsed: 0 }, txMeta, 1000, gasPrice);
+
+            expect(txMeta.effectiveGasPrice).toBe('150');
+            expect(manager.totalEthSpent).toBe(0.00000000000015);
+        });
+
+        it('builds a legacy transaction for a legacy-only signer, so a speedUp raises its gasPrice', async () => {
+            obj.w3 = {
+                signer: { legacyOnly: true },
+                eth: {
+                    sendTransaction: jest.fn(() => ({ once: (event, cb) => cb('0xnew'), catch: () => {} })),
+                    getTransactionReceipt: jest.fn(hash => Promise.resolve(hash === '0xnew' ? { transactionHash: hash, blockNumber: 5, gasUsed: 10, status: true } : null))
+                }
+            };
+            obj.contract = { methods: { transfer: jest.fn(() => ({ encodeABI: () => '0xdata' })) } };
+            obj.gasUsed = 0;
+            obj.totalGasUsed = 0;
+
+            const txMeta = await manager.getTxMeta(obj, 'transfer', { maxPriorityFeePerGas: 300 });
+            expect(obj.getFeeData).not.toBeCalled();
+            expect(txMeta.options).toMatchObject({ gasPrice: 120 });
+            expect(txMeta.options.maxPriorityFeePerGas).not.toBeDefined();
+
+            Object.assign(txMeta, { id: 1, nonce: 3, txHash: '0xold', status: 'submitted' });
+            manager.tx.push(txMeta);
+            manager._senders.set(1, { obj, defer: { emit: jest.fn() } });
+            await manager.speedUp(1);
+
+            expect(obj.w3.eth.sendTransaction).toBeCalledWith(expect.objectContaining({ gasPrice: 132, nonce: 3 }));
+            expect(obj.w3.eth.sendTransaction.mock.calls[0][0].maxFeePerGas).not.toBeDefined();
+        });
+
+        it('sends the type-2 fees hex-encoded', async () => {
+            const sent = Promise.resolve({ status: true });
+            sent.on = jest.fn(() => sent);
+            const send = jest.fn(() => sent);
+            Object.assign(obj, {
+                w3: { eth: { getBlock: jest.fn(() => Promise.resolve({ number: 1 })), getTransactionCount: jest.fn(() => Promise.resolve(0)) } },
+                contract: { methods: { transfer: jest.fn(() => ({ send })) } }
+            });
+            const txMeta = await manager.getTxMeta(obj, 'transfer');
+
+            await manager.submitTx(obj, txMeta, { emit: jest.fn() });
+
+            expect(send).toBeCalledWith(expect.objectContaining({ maxFeePerGas: '0xfa', maxPriorityFeePerGas: '0x32' }));
+            expect(txMeta.options).toMatchObject({ maxFeePerGas: 250, maxPriorityFeePerGas: 50 });
+        });
+
+        it('raises both fees of a type-2 replacement', async () => {
+            const txMeta = { id: 1, options: { maxFeePerGas: 1000, maxPriorityFeePerGas: 100 } };
+            const fees = await manager._getReplacementFees(obj, txMeta, {});
+
+            expect(fees).toEqual({ maxFeePerGas: 1100, maxPriorityFeePerGas: 110 });
+        });
+    });
+
+    describe('arguments validation', () => {
+        let manager, obj;
+
+        beforeEach(() => {
+            manager = new TransactionManager(true);
+            obj = {
+                accounts: [address],
+                wallet: address,
+                address: '0xcontract',
+                gasPrice: 10,
+                _call: [],
+                abi: [
+                    { type: 'function', name: 'transfer', inputs: [{ name: 'to', type: 'address' }, { name: 'amount', type: 'uint256' }] },
+                    { type: 'function', name: 'fill', inputs: [{ name: 'order', type: 'tuple', components: [{ name: 'amount', type: 'uint8' }] }] }
+                ],
+                getGasPrice: jest.fn(() => Promise.resolve(100)),
+                getFeeData: jest.fn()
+            };
+        });
+
+        it('throws before the transaction is built', async () => {
+            await expect(manager.getTxMeta(obj, 'transfer', '0xto', 1))
+                .rejects.toThrow('Invalid argument of transfer(address,uint256) - "to": expected address, got "0xto"');
+
+            expect(obj.getGasPrice).not.toBeCalled();
+            expect(manager.tx).toHaveLength(0);
+        });
+
+        it('does not take a trailing tuple for the options', async () => {
+            const txMeta = await manager.getTxMeta(obj, 'fill', { amount: 1 });
+            const withOptions = await manager.getTxMeta(obj, 'fill', { amount: 1 }, { gas: 100 });
+
+            expect(txMeta.methodArgs).toEqual([{ amount: 1 }]);
+            expect(withOptions.methodArgs).toEqual([{ amount: 1 }]);
+            expect(withOptions.options.gas).toBe(100);
+        });
+    });
+
+    describe('revert reasons', () => {
+        let manager, obj, txMeta, receipt, response;
+
+        beforeEach(() => {
+            manager = new TransactionManager(true);
+            receipt = { status: false, blockNumber: 7 };
+            response = { error: { code: 3, message: 'execution reverted', data: '0x08c379a0aa' } };
+
+            obj = {
+                abi: [],
+                w3: {
+                    currentProvider: { send: jest.fn((payload, cb) => cb(null, response)) },
+                    utils: { numberToHex: value => `0x${Number(value).toString(16)}` },
+                    eth: {
+                        getTransactionReceipt: jest.fn(() => Promise.resolve(receipt)),
+                        abi: { decodeParameter: jest.fn(() => 'Not enough tokens') }
+                    }
+                },
+                contract: {
+                    methods: {
+                        transfer: jest.fn(() => ({ encodeABI: () => '0xdata' }))
+                    }
+                }
+            };
+
+            txMeta = {
+                id: 1,
+                from: address,
+                to: '0xcontract',
+                method: 'transfer',
+                methodArgs: ['0xto', 1],
+                options: { from: address, gas: 50000, gasPrice: 1000 },
+                txHash: '0xhash',
+                status: 'submitted'
+            };
+        });
+
+        it('decodes the revert data of the error', async () => {
+            const err = Object.assign(new Error('Returned error: execution reverted'), { data: '0x08c379a0aa' });
+
+            expect(await manager.decodeRevert(obj, txMeta, err)).toEqual({ name: 'Error', args: ['Not enough tokens'], reason: 'Not enough tokens' });
+            expect(obj.w3.currentProvider.send).not.toBeCalled();
+        });
+
+        it('replays a reverted transaction at its block', async () => {
+            const revert = await manager.decodeRevert(obj, txMeta, new Error('Transaction has been reverted by the EVM'));
+
+            expect(revert.reason).toBe('Not enough tokens');
+            expect(obj.w3.currentProvider.send.mock.calls[0][0]).toMatchObject({
+                method: 'eth_call',
+                params: [{ from: address, to: '0xcontract', gas: '0xc350', data: '0xdata' }, '0x7']
+            });
+        });
+
+        it('does not replay a transaction that has not been reverted', async () => {
+            receipt.status = true;
+
+            expect(await manager.decodeRevert(obj, txMeta, new Error('Transaction was not mined within 750 seconds'))).toBeNull();
+            expect(obj.w3.currentProvider.send).not.toBeCalled();
+        });
+
+        it('attaches the reason to the error and to the transaction', async () => {
+            const err = new Error('Transaction has been reverted by the EVM');
+            manager.store.saveTx = jest.fn();
+            txMeta.status = 'failed';
+
+            await manager._attachRevert(obj, txMeta, err);
+
+            expect(err.revert).toEqual({ name: 'Error', args: ['Not enough tokens'], reason: 'Not enough tokens' });
+            expect(txMeta.revert).toBe(err.revert);
+            expect(manager.store.saveTx).toBeCalledWith(txMeta);
+        });
+    });
+
+    describe('gas estimation', () => {
+        let manager, obj, estimateGas;
+
+        beforeEach(() => {
+            manager = new TransactionManager(true);
+            estimateGas = jest.fn(() => Promise.resolve(50000));
+
+            obj = {
+                accounts: [address],
+                wallet: address,
+                address: '0xcontract',
+                gasLimit: '6000000',
+                gasPrice: 10,
+                gasEstimation: true,
+                _call: [],
+                contract: {
+                    methods: { transfer: jest.fn(() => ({ estimateGas })) },
+                    deploy: jest.fn(() => ({ estimateGas }))
+                },
+                getGasPrice: jest.fn(() => Promise.resolve(100))
+            };
+        });
+
+        it('applies the default multiplier to the estimate', async () => {
+            const txMeta = await manager.getTxMeta(obj, 'transfer', '0xto', 1, { value: 5 });
+
+            expect(obj.contract.methods.transfer).toBeCalledWith('0xto', 1);
+            expect(estimateGas).toBeCalledWith({ from: address, value: 5 });
+            expect(txMeta.gasEstimate).toBe(50000);
+            expect(txMeta.options.gas).toBe(60000);
+        });
+
+        it('estimates the deployment', async () => {
+            const txMeta = await manager.getTxMeta(obj, 'deploy', { data: '0x00', arguments: [] }, {});
+
+            expect(obj.contract.deploy).toBeCalledWith({ data: '0x00', arguments: [] });
+            expect(txMeta.options.gas).toBe(60000);
+        });
+
+        it('applies the custom multiplier and cap', async () => {
+            obj.gasEstimation = { multiplier: 2, cap: 80000 };
+            expect((await manager.getTxMeta(obj, 'transfer', '0xto', 1)).options.gas).toBe(80000);
+
+            obj.gasEstimation = { cap: 40000 };
+            await expect(manager.getTxMeta(obj, 'transfer', '0xto', 1))
+                .rejects.toThrow('The transfer gas estimate 50000 exceeds the cap of 40000!');
+        });
+
+        it('falls back to the gasLimit if the estimation fails', async () => {
+            estimateGas.mockRejectedValue(new Error('execution reverted'));
+            const txMeta = await manager.getTxMeta(obj, 'transfer', '0xto', 1);
+
+            expect(txMeta.options.gas).toBe('6000000');
+            expect(txMeta.gasEstimate).not.toBeDefined();
+        });
+
+        it('keeps the custom gas and does not estimate by default', async () => {
+            expect((await manager.getTxMeta(obj, 'transfer', '0xto', 1, { gas: 21000 })).options.gas).toBe(21000);
+
+            obj.gasEstimation = false;
+            expect((await manager.getTxMeta(obj, 'transfer', '0xto', 1)).options.gas).toBe('6000000');
+            expect(estimateGas).not.toBeCalled();
+        });
+    });
+
+    describe('simulation', () => {
+        let manager, obj, txMeta, response;
+
+        beforeEach(() => {
+            manager = new TransactionManager(true);
+            response = { result: '0x01' };
+
+            obj = {
+                abi: [{ type: 'function', name: 'transfer', inputs: [{ type: 'address' }, { type: 'uint256' }], outputs: [{ type: 'bool' }] }],
+                w3: {
+                    currentProvider: { sendAsync: jest.fn((payload, cb) => cb(null, response)) },
+                    utils: { numberToHex: value => `0x${Number(value).toString(16)}` },
+                    eth: {
+                        abi: {
+                            decodeParameter: jest.fn(() => 'Not enough tokens'),
+                            decodeParameters: jest.fn(() => ({ 0: true, __length__: 1 }))
+                        }
+                    }
+                },
+                contract: {
+                    methods: {
+                        transfer: jest.fn(() => ({ encodeABI: () => '0xdata' }))
+                    }
+                }
+            };
+
+            txMeta = {
+                from: address,
+                to: '0xcontract',
+                method: 'transfer',
+                methodArgs: ['0xto', 1],
+                options: { from: address, value: 16, gasPrice: 1000 },
+                txType: 'send',
+                simulate: true
+            };
+        });
+
+        it('decodes the return value', async () => {
+            expect(await manager.simulate(obj, txMeta)).toEqual({ success: true, result: true });
+            expect(obj.w3.currentProvider.sendAsync.mock.calls[0][0]).toMatchObject({
+                method: 'eth_call',
+                params: [{ from: address, to: '0xcontract', value: '0x10', data: '0xdata' }, 'pending']
+            });
+            expect(obj.w3.eth.abi.decodeParameters).toBeCalledWith([{ type: 'bool' }], '0x01');
+        });
+
+        it('decodes the revert', async () => {
+            response = { error: { message: 'execution reverted: Not enough tokens', data: '0x08c379a0aa' } };
+            const { success, error } = await manager.simulate(obj, txMeta);
+
+            expect(success).toBe(false);
+            expect(error.message).toBe('The simulation of transfer has failed: execution reverted: Not enough tokens');
+            expect(error.revert).toEqual({ name: 'Error', args: ['Not enough tokens'], reason: 'Not enough tokens' });
+        });
+
+        it('takes the JSON-RPC error passed along with the response', async () => {
+            const error = { message: 'execution reverted: Not enough tokens', data: '0x08c379a0aa' };
+            obj.w3.currentProvider.sendAsync = jest.fn((payload, cb) => cb(new Error(error.message), { id: payload.id, jsonrpc: '2.0', error }));
+            const { success, error: simulationError } = await manager.simulate(obj, txMeta);
+
+            expect(success).toBe(false);
+            expect(simulationError.revert.reason).toBe('Not enough tokens');
+        });
+
+        it('aborts the submission if the simulation can not be run', async () => {
+            obj.w3.currentProvider.sendAsync = jest.fn((payload, cb) => cb(new Error('connection refused')));
+            manager.getNonce = jest.fn();
+
+            const [err] = await manager.submitTx(obj, txMeta, {});
+
+            expect(err.message).toBe('The simulation of transfer has not been run: connection refused');
+            expect(manager.getNonce).not.toBeCalled();
+            expect(txMeta.status).toBe('failed');
+        });
+
+        it('aborts the submission if the simulation fails', async () => {
+            response = { error: { message: 'execution reverted', data: '0x08c379a0aa' } };
+            manager.getNonce = jest.fn();
+
+            const [err, result] = await manager.submitTx(obj, txMeta, {});
+
+            expect(err.revert.reason).toBe('Not enough tokens');
+            expect(result).toBeNull();
+            expect(manager.getNonce).not.toBeCalled();
+            expect(txMeta.status).toBe('failed');
+            expect(txMeta.revert).toBe(err.revert);
+        });
+
+        it('sends the transaction if the failure is not meant to abort it', async () => {
+            response = { error: { message: 'execution reverted' } };
+            txMeta.simulate = { abort: false };
+            manager.getNonce = jest.fn(() => Promise.reject(new Error('getNonce')));
+
+            await expect(manager.submitTx(obj, txMeta, {})).rejects.toThrow('getNonce');
+        });
+
+        it('sends the transaction without the simulation if the failure is not meant to abort it', async () => {
+            obj.w3.currentProvider.sendAsync = jest.fn((payload, cb) => cb(new Error('connection refused')));
+            txMeta.simulate = { abort: false };
+            manager.getNonce = jest.fn(() => Promise.reject(new Error('getNonce')));
+
+            await expect(manager.submitTx(obj, txMeta, {})).rejects.toThrow('getNonce');
+        });
+
+        it('takes the simulate option out of the transaction options', async () => {
+            Object.assign(obj, { accounts: [address], wallet: address, gasLimit: 21000, gasPrice: 1, _call: [], getGasPrice: () => Promise.resolve(1) });
+            const meta = await manager.getTxMeta(obj, 'transfer', address, 1, { simulate: true });
+
+            expect(meta.simulate).toBe(true);
+            expect(meta.options.simulate).not.toBeDefined();
+        });
+    });
+
+    describe('raw transactions', () => {
+        let manager, obj, sent;
+
+        beforeEach(() => {
+            manager = new TransactionManager(true);
+            sent = { on: jest.fn(() => sent) };
+
+            obj = {
+                accounts: [address],
+                wallet: address,
+                gasLimit: '6000000',
+                gasPrice: 10,
+                w3: {
+                    eth: {
+                        sendTransaction: jest.fn(() => sent),
+                        estimateGas: jest.fn(() => Promise.resolve(21000))
+                    }
+                },
+                getGasPrice: jest.fn(() => Promise.resolve(100))
+            };
+        });
+
+        it('builds the tx meta of an ETH transfer', async () => {
+            const txMeta = await manager.getRawTxMeta(obj, 'sendEther', { to: address.toLowerCase(), value: '100' }, { gas: 21000 });
+
+            expect(txMeta).toMatchObject({
+                from: address,
+                to: address,
+                method: 'sendEther',
+                methodArgs: [],
+                options: { from: address, value: '100', gas: 21000, gasPrice: 10 },
+                txType: 'send',
+                raw: true
+            });
+        });
+
+        it('estimates the gas of the raw calldata', async () => {
+            obj.gasEstimation = { multiplier: 1 };
+            const txMeta = await manager.getRawTxMeta(obj, 'sendRaw', { to: address, data: '0xabcd' });
+
+            expect(obj.w3.eth.estimateGas).toBeCalledWith({ from: address, to: address, data: '0xabcd' });
+            expect(txMeta.options.gas).toBe(21000);
+        });
+
+        it('throws if the calldata is not a hex string', () => {
+            return expect(manager.getRawTxMeta(obj, 'sendRaw', { to: address, data: 'abc' }))
+                .rejects.toThrow('Invalid calldata: abc, a hex string is expected');
+        });
+
+        it('sends the raw transaction by web3.eth', () => {
+            const txMeta = { to: address, method: 'sendRaw', methodArgs: ['0xabcd'], raw: true };
+
+            manager._getMethod(obj, txMeta).send({ from: address, gas: 50000 });
+
+            expect(obj.w3.eth.sendTransaction).toBeCalledWith({ from: address, gas: 50000, to: address, data: '0xabcd' });
+            expect(manager._encodeTx(obj, txMeta)).toBe('0xabcd');
+        });
+    });
+
+    describe('offline signing', () => {
+        const raw = '0xf86b0a8502540be400825208940000000000000000000000000000000000000001880de0b6b3a7640000801ca0';
+        const receipt = { blockNumber: 10, gasUsed: 21000, status: true, from: address.toLowerCase() };
+        let manager, obj, sent;
+
+        beforeEach(() => {
+            manager = new TransactionManager(true);
+            sent = Promise.resolve(receipt);
+            sent.on = jest.fn((event, handler) => {
+                if (event === 'receipt') handler(receipt);
+                return sent;
+            });
+
+            obj = {
+                accounts: [address],
+                wallet: address,
+                gasLimit: '6000000',
+                gasPrice: 10,
+                w3: {
+                    utils: { sha3: web3Utils.sha3 },
+                    eth: {
+                        accounts: { recoverTransaction: jest.fn(() => address.toLowerCase()) },
+                        getBlock: jest.fn(() => Promise.resolve({ number: 1 })),
+                        getTransactionCount: jest.fn(() => Promise.resolve(5)),
+                        signTransaction: jest.fn(() => Promise.resolve({ raw, tx: {} })),
+                        sendTransaction: jest.fn(),
+                        sendSignedTransaction: jest.fn(() => sent)
+                    }
+                },
+                getGasPrice: jest.fn(() => Promise.resolve(100))
+            };
+        });
+
+        const sign = async () => {
+            const txMeta = await manager.getRawTxMeta(obj, 'sendEther', { to: address, value: '100' }, { gas: 21000, broadcast: false });
+            return manager.submitTx(obj, txMeta, { emit: jest.fn() });
+        };
+
+        it('signs the transaction instead of sending it', async () => {
+            const [err, txMeta] = await sign();
+
+            expect(err).toBeNull();
+            expect(obj.w3.eth.sendTransaction).not.toBeCalled();
+            expect(obj.w3.eth.signTransaction).toBeCalledWith({
+                from: address, to: address, value: '100', gas: 21000, data: '0x', gasPrice: 10, nonce: 5
+            });
+            expect(txMeta).toMatchObject({ status: 'signed', nonce: 5, rawTransaction: raw, txHash: web3Utils.sha3(raw) });
+            expect(txMeta.options.broadcast).toBeUndefined();
+        });
+
+        it('does not reuse the nonce of a signed transaction', async () => {
+            await sign();
+            const { nextNonce, releaseNonceLock } = await manager.getNonce(address, obj.w3);
+            releaseNonceLock();
+
+            expect(nextNonce).toBe(6);
+        });
+
+        it('broadcasts and tracks a signed transaction', async () => {
+            const [, txMeta] = await sign();
+            const [err, res] = await manager.broadcast(obj, raw);
+
+            expect(err).toBeNull();
+            expect(res).toBe(receipt);
+            expect(obj.w3.eth.sendSignedTransaction).toBeCalledWith(raw);
+            expect(txMeta).toMatchObject({ status: 'confirmed', blockNumber: 10, gasUsed: 21000 });
+            expect(manager.getSignedTransactions()).toHaveLength(0);
+        });
+
+        it('adds a transaction signed on another machine', async () => {
+            const [, signed] = await sign();
+            const exported = JSON.parse(JSON.stringify(signed));
+
+            const other = new TransactionManager(true);
+            await other.broadcast(obj, exported);
+
+            const [txMeta] = other.getConfirmedTransactions(address);
+            expect(txMeta).toMatchObject({ method: 'sendEther', nonce: 5, rawTransaction: raw, txHash: web3Utils.sha3(raw) });
+            expect(txMeta.id).not.toBe(signed.id);
+        });
+
+        it('takes the sender and the nonce out of a bare payload', async () => {
+            const txMeta = manager._getSignedTx(obj, raw);
+
+            expect(obj.w3.eth.accounts.recoverTransaction).toBeCalledWith(raw);
+            expect(txMeta).toMatchObject({ from: address, nonce: 10, status: 'signed' });
+            expect(manager.getSignedTransactions(address)).toEqual([txMeta]);
+
+            await manager.broadcast(obj, raw);
+            expect(manager.getConfirmedTransactions(address)).toEqual([txMeta]);
+        });
+
+        it('throws if a bare payload can not be decoded', () => {
+            obj.w3.eth.accounts.recoverTransaction = jest.fn(() => { throw new Error('invalid signature'); });
+
+            return expect(manager.broadcast(obj, raw))
+                .rejects.toThrow('Unable to decode the signed transaction, pass its tx meta instead: invalid signature');
+        });
+
+        it('reconciles the signed transactions, skipping the ones without a sender', async () => {
+            manager.tx.push({ id: 1, status: 'signed', txHash: '0x1' }, { id: 2, from: address, nonce: 3, status: 'signed', txHash: '0x2' });
+            obj.w3.eth.getTransactionReceipt = jest.fn(() => Promise.resolve(null));
+
+            const stat = await manager.reconcile(obj.w3);
+
+            expect(obj.w3.eth.getTransactionCount).toHaveBeenCalledTimes(1);
+            expect(obj.w3.eth.getTransactionCount).toBeCalledWith(address);
+            expect(stat).toMatchObject({ signed: 1, failed: 1 });
+        });
+
+        it('does not broadcast a transaction twice', async () => {
+            await sign();
+            await manager.broadcast(obj, raw);
+
+            return expect(manager.broadcast(obj, raw)).rejects.toThrow('is confirmed, only signed transactions can be broadcast!');
+        });
+
+        it('throws if the payload is not a hex string', () => {
+            return expect(manager.broadcast(obj, { rawTransaction: 'abc' }))
+                .rejects.toThrow('Invalid signed transaction: abc, a hex string is expected');
+        });
+    });
+});
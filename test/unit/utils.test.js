@@ -224,6 +224,17 @@ describe('Utils unit tests', () => {
             expect(web3Utils.fromWei).toBeCalledWith("10000000000", undefined);
         })
 
+        it('fromToken', () => {
+            expect(utils.fromToken('12.5', 6)).toBe('12500000');
+            expect(utils.fromToken(3, 0)).toBe('3');
+            expect(utils.fromToken('0.000001', 6)).toBe('1');
+        });
+
+        it('fromToken, invalid amount', () => {
+            expect(() => utils.fromToken('1.0000001', 6)).toThrow('The amount 1.0000001 has more than 6 decimal places');
+            expect(() => utils.fromToken('-1', 6)).toThrow('Invalid token amount: -1');
+        });
+
     });
 
     describe('_to', () => {
@@ -0,0 +1,19 @@
+const Interface = require('../../src/lib/interface/interface');
+const Wallet = require('../../src/lib/modules/wallet');
+
+jest.mock('../../src/lib/interface/interface');
+
+describe('Wallet unit tests', () => {
+    it('initiates an instance without a contract', () => {
+        new Wallet('host', 'mnemonic');
+
+        expect(Interface).toBeCalledWith('host', null, 'mnemonic', undefined, []);
+    });
+
+    it('initiates an instance with a custom web3 instance', () => {
+        const web3 = {};
+        expect(Wallet.web3(web3)).toBeInstanceOf(Wallet);
+
+        expect(Interface).toBeCalledWith(null, null, null, web3, []);
+    });
+});
@@ -1,9 +1,46 @@
 const Web3 = require('web3');
 const W3 = require('../../src/lib/modules/web3');
+const SignerProvider = require('../../src/lib/providers/signerProvider');
+const WsProvider = require('../../src/lib/providers/wsProvider');
+const { Signer } = require('../../src/lib/signers');
 
 jest.mock('web3');
+jest.mock('../../src/lib/providers/wsProvider', () => jest.fn().mockImplementation(function () {
+    const Events = require('events');
+    this.emitter = new Events();
+    this.provider = { send: jest.fn(), on: jest.fn() };
+}));
 
 describe('Web3 module unit tests', () => {
+    class TestSigner extends Signer {}
 
+    beforeEach(() => {
+        Web3.mockClear();
+    });
 
+    it('wraps the provider of the node with the signer', () => {
+        const signer = new TestSigner();
+        const w3 = new W3('http://host', signer);
+
+        const [provider] = Web3.mock.calls[0];
+        expect(provider).toBeInstanceOf(SignerProvider);
+        expect(provider.signer).toBe(signer);
+        expect(provider.provider).toBeInstanceOf(Web3.providers.HttpProvider);
+        expect(w3.signer).toBe(signer);
+    });
+
+    it('wraps a restored WebSocket connection', () => {
+        const w3 = new W3('ws://host', new TestSigner());
+        const [provider] = Web3.mock.calls[0];
+        const [ws] = WsProvider.mock.instances;
+        const listener = jest.fn();
+        const restored = { send: jest.fn(), on: jest.fn() };
+
+        expect(w3.emitter).toBe(provider.emitter);
+        w3.emitter.on('resetProvider', listener);
+        ws.emitter.emit('resetProvider', restored);
+
+        expect(provider.provider).toBe(restored);
+        expect(listener).toBeCalledWith();
+    });
 });
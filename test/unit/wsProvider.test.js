@@ -15,6 +15,10 @@ describe('WsProvider unit tests', () => {
         provider = ws.provider;
     });
 
+    afterEach(() => {
+        jest.clearAllTimers();
+    });
+
     it('constructor: creates an instance and sets the properties (no options)', () => {
         expect(ws.uri).toBe('host');
         expect(ws.options).toMatchObject({});
@@ -58,18 +62,27 @@ describe('WsProvider unit tests', () => {
         expect(ws.awaitConnection).toBeCalled();
     });
 
-    it('clears interval if the provider is already connected', () => {
+    it('does nothing if the provider is already connected', () => {
         ws.getProvider = jest.fn();
 
         ws.connecting = false;
         ws.awaitConnection();
 
-        jest.runAllTimers();
+        jest.runOnlyPendingTimers();
 
-        expect(clearInterval).toBeCalled();
         expect(ws.getProvider).not.toBeCalled();
     });
 
+    it('emits the disconnected event on reset', () => {
+        ws.awaitConnection = jest.fn();
+        ws.attempts = 3;
+
+        ws.reset('error');
+
+        expect(ws.attempts).toBe(0);
+        expect(ws.emitter.emit).toBeCalledWith('disconnected', { uri: 'host', error: 'error' });
+    });
+
     it('sets a new provider', () => {
         ws.getProvider = jest.fn(() => provider);
         ws.onConnectionReady = jest.fn();
@@ -77,30 +90,89 @@ describe('WsProvider unit tests', () => {
         ws.connecting = true;
         ws.awaitConnection();
 
+        expect(ws.emitter.emit).toBeCalledWith('reconnecting', { uri: 'host', attempt: 1, delay: expect.any(Number) });
+
         jest.runOnlyPendingTimers();
 
         expect(ws.getProvider).toBeCalled();
         expect(provider.on).toBeCalledWith('ready', expect.any(Function));
 
-        const lastCall = provider.on.mock.calls.length - 1;
-
         // check the onReady callback;
-        provider.on.mock.calls[lastCall][1]();
+        provider.on.mock.calls.find(([type]) => type === 'ready')[1]();
         expect(ws.onConnectionReady).toBeCalled();
+    });
+
+    it('retries with an exponential backoff if the attempt fails', () => {
+        const next = { on: jest.fn(), disconnect: jest.fn() };
+        ws = new Ws('host', { reconnect: { jitter: 0 }, heartbeat: { interval: 0 } });
+        ws.getProvider = jest.fn(() => next);
+
+        ws.connecting = true;
+        ws.awaitConnection();
+        jest.runOnlyPendingTimers();
+
+        next.on.mock.calls.find(([type]) => type === 'error')[1]();
+
+        expect(next.disconnect).toBeCalled();
+        expect(ws.emitter.emit).toBeCalledWith('reconnecting', { uri: 'host', attempt: 1, delay: 500 });
+        expect(ws.emitter.emit).toBeCalledWith('reconnecting', { uri: 'host', attempt: 2, delay: 1000 });
+    });
 
-        expect(clearInterval).toBeCalled();
+    it('limits the delay and applies the jitter', () => {
+        ws.reconnectOptions = { delay: 500, maxDelay: 3000, factor: 2, jitter: 0.5 };
+        jest.spyOn(Math, 'random').mockReturnValue(1);
+
+        expect(ws.getDelay(0)).toBe(250);
+        expect(ws.getDelay(10)).toBe(1500);
+
+        Math.random.mockRestore();
+    });
+
+    it('gives up after the max number of attempts', () => {
+        ws.reconnectOptions.maxAttempts = 2;
+        ws.attempts = 2;
+        ws.connecting = true;
+
+        ws.awaitConnection();
+
+        expect(ws.connecting).toBe(false);
+        expect(ws.emitter.emit).toBeCalledWith('giveUp', { uri: 'host', attempts: 2 });
+    });
+
+    it('resets the connection if the heartbeat is not answered', () => {
+        ws = new Ws('host', { heartbeat: { interval: 1000, timeout: 500 } });
+        ws.awaitConnection = jest.fn();
+
+        jest.advanceTimersByTime(1000);
+        expect(ws.provider.send).toBeCalledWith(expect.objectContaining({ method: 'net_version' }), expect.any(Function));
+
+        jest.advanceTimersByTime(500);
+        expect(ws.connecting).toBe(true);
+        expect(ws.emitter.emit).toBeCalledWith('disconnected', { uri: 'host', error: new Error('Heartbeat timeout') });
+    });
+
+    it('keeps the connection if the heartbeat is answered', () => {
+        ws = new Ws('host', { heartbeat: { interval: 1000, timeout: 500 } });
+
+        jest.advanceTimersByTime(1000);
+        ws.provider.send.mock.calls[0][1](null, {});
+        jest.advanceTimersByTime(500);
+
+        expect(ws.connecting).toBe(false);
     });
 
     it('initiates new connection properly', () => {
         ws.addListeners = jest.fn();
-        ws.emitter.emit = jest.fn();
 
         ws.connecting = true;
+        ws.attempts = 2;
 
         ws.onConnectionReady();
 
         expect(ws.connecting).toBe(false);
+        expect(ws.attempts).toBe(0);
         expect(ws.addListeners).toBeCalled();
+        expect(ws.emitter.emit).toBeCalledWith('connected', { uri: 'host' });
         expect(ws.emitter.emit).toBeCalledWith('resetProvider', provider);
     });
 